@@ -1,7 +1,7 @@
 import path from 'path'
 import fs from 'fs'
 import { promisify } from 'util'
-import { LOCALE } from '../src/routes/_static/intl.js'
+import { SUPPORTED_LOCALES } from '../src/routes/_static/intl.js'
 import applyIntl from '../webpack/svelte-intl-loader.js'
 
 const __dirname = path.dirname(new URL(import.meta.url).pathname)
@@ -9,9 +9,6 @@ const readFile = promisify(fs.readFile)
 const writeFile = promisify(fs.writeFile)
 const copyFile = promisify(fs.copyFile)
 
-// Try 'en-US' first, then 'en' if that doesn't exist
-const PREFERRED_LOCALES = [LOCALE, LOCALE.split('-')[0]]
-
 // emojibase seems like the most "neutral" shortcodes, but cldr is available in every language
 const PREFERRED_SHORTCODES = ['emojibase', 'cldr']
 
@@ -26,10 +23,11 @@ async function getEmojiI18nFile (locale, shortcode) {
   } catch (err) { /* ignore */ }
 }
 
-async function getFirstExistingEmojiI18nFile () {
-  for (const locale of PREFERRED_LOCALES) {
+async function getFirstExistingEmojiI18nFile (locale) {
+  // Try 'en-US' first, then 'en' if that doesn't exist
+  for (const dataLocale of [locale, locale.split('-')[0]]) {
     for (const shortcode of PREFERRED_SHORTCODES) {
-      const json = await getEmojiI18nFile(locale, shortcode)
+      const json = await getEmojiI18nFile(dataLocale, shortcode)
       if (json) {
         return json
       }
@@ -37,15 +35,16 @@ async function getFirstExistingEmojiI18nFile () {
   }
 }
 
-async function buildEmojiI18nFile () {
-  const json = await getFirstExistingEmojiI18nFile()
+// the interface language is picked at runtime, so build one for each
+async function buildEmojiI18nFile (locale) {
+  const json = await getFirstExistingEmojiI18nFile(locale)
 
   if (!json) {
-    throw new Error(`Couldn't find i18n data for locale ${LOCALE}. Is it supported in emoji-picker-element-data?`)
+    throw new Error(`Couldn't find i18n data for locale ${locale}. Is it supported in emoji-picker-element-data?`)
   }
 
   await writeFile(
-    path.resolve(__dirname, `../static/emoji-${LOCALE}.json`),
+    path.resolve(__dirname, `../static/emoji-${locale}.json`),
     JSON.stringify(json),
     'utf8'
   )
@@ -74,7 +73,7 @@ async function buildFlagEmojiFile () {
 
 async function main () {
   await Promise.all([
-    buildEmojiI18nFile(),
+    ...SUPPORTED_LOCALES.map(buildEmojiI18nFile),
     buildManifestJson(),
     buildFlagEmojiFile()
   ])
@@ -4,6 +4,7 @@ import enUS from '../src/intl/en-US.js'
 import fr from '../src/intl/fr.js'
 import de from '../src/intl/de.js'
 import es from '../src/intl/es.js'
+import ruRU from '../src/intl/ru-RU.js'
 import parse from 'format-message-parse'
 
 // TODO: make it so we don't have to explicitly list these out
@@ -11,10 +12,10 @@ const locales = {
   'en-US': enUS,
   fr,
   de,
-  es
+  es,
+  'ru-RU': ruRU
 }
 
-const intl = locales[LOCALE]
 const defaultIntl = locales[DEFAULT_LOCALE]
 
 export function warningOrError (message) { // avoid crashing the whole server on `pnpm dev`
@@ -25,10 +26,11 @@ export function warningOrError (message) { // avoid crashing the whole server on
   return '(Placeholder intl string)'
 }
 
-const cache = {}
-export function getIntl (key) {
+const caches = {}
+export function getIntl (key, locale = LOCALE) {
+  const cache = caches[locale] || (caches[locale] = {})
   if (cache[key]) return cache[key]
-  const res = intl[key] || defaultIntl[key]
+  const res = locales[locale][key] || defaultIntl[key]
   if (typeof res !== 'string') {
     return warningOrError('Unknown intl string: ' + key)
   }
@@ -40,3 +42,12 @@ export function getIntl (key) {
   cache[key] = parsed
   return parsed
 }
+
+// Every message in a locale, with the default locale's for any that haven't been translated
+export function getIntlMessages (locale) {
+  const messages = {}
+  for (const key of Object.keys(defaultIntl)) {
+    messages[key] = getIntl(key, locale)
+  }
+  return messages
+}
@@ -78,5 +78,10 @@ export default [
   { id: 'fa-unlock-home', src: 'src/static/unlock-home.svg' },
   { id: 'fa-retweet-lock', src: 'src/static/retweet-lock.svg' },
   { id: 'misskey-logo', src: 'src/static/misskey.svg' },
-  { id: 'tooth', src: 'src/static/tooth.svg' }
+  { id: 'tooth', src: 'src/static/tooth.svg' },
+  { id: 'fa-columns', src: 'src/thirdparty/font-awesome-svg-png/white/svg/columns.svg' },
+  { id: 'fa-paper-plane', src: 'src/thirdparty/font-awesome-svg-png/white/svg/paper-plane.svg' },
+  { id: 'fa-floppy', src: 'src/thirdparty/font-awesome-svg-png/white/svg/floppy-o.svg' },
+  { id: 'fa-bullhorn', src: 'src/thirdparty/font-awesome-svg-png/white/svg/bullhorn.svg' },
+  { id: 'fa-compass', src: 'src/thirdparty/font-awesome-svg-png/white/svg/compass.svg' }
 ]
@@ -7,6 +7,19 @@ import { basename } from '../routes/_api/utils.js'
 import { storeLite } from '../routes/_store/storeLite.js'
 import { isIOSPre12Point2 } from '../routes/_utils/userAgent/isIOSPre12Point2.js'
 
+// Push notifications link to e.g. /notifications?instance=example.com (see service-worker.js),
+// so switch to that instance before the app starts.
+const linkedInstance = new URLSearchParams(location.search).get('instance')
+if (linkedInstance) {
+  const { loggedInInstancesInOrder } = storeLite.get()
+  if (loggedInInstancesInOrder && loggedInInstancesInOrder.includes(linkedInstance)) {
+    storeLite.set({ currentInstance: linkedInstance })
+  }
+  const url = new URL(location.href)
+  url.searchParams.delete('instance')
+  history.replaceState(history.state, '', url.pathname + url.search + url.hash)
+}
+
 const {
   currentInstance,
   instanceThemes,
@@ -89,6 +89,22 @@ export default {
   profileWithMedia: 'Profile with media',
   profileWithReplies: 'Profile with replies',
   hashtag: 'Hashtag',
+  // deck
+  deck: 'Deck',
+  deckNotLoggedIn: 'Your deck will appear here when logged in.',
+  deckEmpty: 'Add a column to get started.',
+  addDeckColumn: 'Add column',
+  deckColumnType: 'Column type',
+  deckAccount: 'Account',
+  deckHashtagPlaceholder: 'Hashtag, e.g. #cats',
+  deckAccountPlaceholder: 'Account, e.g. @user@example.com',
+  noLists: 'You don\'t have any lists.',
+  moveDeckColumnLeft: 'Move column left',
+  moveDeckColumnRight: 'Move column right',
+  removeDeckColumn: 'Remove column',
+  deckColumnAlreadyExists: 'That column is already in your deck.',
+  deckAccountNotFound: 'Account not found.',
+  unableToAddDeckColumn: 'Unable to add column: {error}',
   // not logged in
   profileNotLoggedIn: 'A user timeline will appear here when logged in.',
   bookmarksNotLoggedIn: 'Your bookmarks will appear here when logged in.',
@@ -101,6 +117,32 @@ export default {
   searchNotLoggedIn: 'You can search once logged in to an instance.',
   communityNotLoggedIn: 'Community options appear here when logged in.',
   listNotLoggedIn: 'A list will appear here when logged in.',
+  manageLists: 'Manage lists',
+  createList: 'Create list',
+  editList: 'Edit list',
+  deleteList: 'Delete list',
+  deleteListConfirm: 'Delete the list "{list}"?',
+  listTitle: 'List name',
+  listSettings: 'List settings',
+  listRepliesPolicy: 'Show replies',
+  listRepliesFollowed: 'To anyone you follow',
+  listRepliesList: 'To members of the list',
+  listRepliesNone: 'Never',
+  listExclusive: 'Hide posts by members of this list from your home timeline',
+  listMembers: 'Members',
+  noListMembers: 'This list has no members yet. Search for people you follow to add them.',
+  searchFollowedAccounts: 'Search people you follow',
+  noAccountsFound: 'No accounts found.',
+  addToList: 'Add to list…',
+  addAccountToList: 'Add {account} to lists',
+  addMemberToList: 'Add to list',
+  removeFromList: 'Remove from list',
+  createdList: 'Created list',
+  updatedList: 'Updated list',
+  deletedList: 'Deleted list',
+  unableToModifyList: 'Unable to modify list: {error}',
+  unableToAddToList: 'Unable to add to list: {error}',
+  unableToRemoveFromList: 'Unable to remove from list: {error}',
   notificationsNotLoggedIn: 'Your notifications will appear here when logged in.',
   notificationMentionsNotLoggedIn: 'Your notification mentions will appear here when logged in.',
   statusNotLoggedIn: 'A thread will appear here when logged in.',
@@ -211,6 +253,27 @@ export default {
   description: 'Description',
   descriptionLabel: 'Describe for visually impaired (image, video) or auditorily impaired (audio, video) people',
   markAsSensitive: 'Mark media as sensitive',
+  // Scheduled posts
+  schedule: 'Schedule',
+  schedulePost: 'Schedule post',
+  dontSchedulePost: 'Don\'t schedule post',
+  reschedulePost: 'Change scheduled date',
+  scheduleFor: 'Post at',
+  scheduleTooSoon: 'Posts must be scheduled at least 5 minutes in the future.',
+  scheduledFor: 'Scheduled for {date}',
+  statusScheduled: 'Post scheduled for {date}',
+  scheduledStatuses: 'Scheduled posts',
+  noScheduledStatuses: 'You don\'t have any scheduled posts.',
+  reschedule: 'Reschedule',
+  cancelScheduledStatus: 'Cancel post',
+  cancelScheduledStatusConfirm: 'Cancel this scheduled post?',
+  unableToCancelReplacedScheduledStatus: 'The edited post was scheduled, but the original is still scheduled too, you may want to cancel it: {error}',
+  scheduledStatusMedia: `{count, plural,
+    =1 {1 media attachment}
+    other {{count} media attachments}
+  }`,
+  rescheduledStatus: 'Rescheduled post',
+  cancelledScheduledStatus: 'Cancelled scheduled post',
   // Polls
   youVotedFor: 'You voted for',
   createPoll: 'Create poll',
@@ -371,7 +434,8 @@ export default {
   </p>
 
   <p>
-    Post translation is powered by Google Translate via <a href="https://simplytranslate.org">SimplyTranslate.org</a>.
+    By default, post translation is powered by Google Translate via <a href="https://simplytranslate.org">SimplyTranslate.org</a>.
+    You can use your instance, LibreTranslate, or your own SimplyTranslate server instead in the general settings.
   </p>
 
   <h2>Credits</h2>
@@ -395,6 +459,65 @@ export default {
     You are running Enafore version <code class="enafore-version"></code>.
   </p>`,
   logs: 'Logs',
+  logLevel: 'Show',
+  logLevelAll: 'Everything',
+  logLevelLog: 'Logs and above',
+  logLevelInfo: 'Info and above',
+  logLevelWarn: 'Warnings and errors',
+  logLevelError: 'Errors only',
+  filterLogs: 'Filter logs',
+  exportBugReport: 'Export bug report',
+  exportBugReportDescription: 'Save these logs to a file you can attach to a bug report, along with the version of Enafore, the server software of your instances and your settings. Access tokens and API keys are left out, but the logs can include posts and accounts you have looked at, so check the file before sharing it publicly.',
+  unableToExportBugReport: 'Unable to export bug report: {error}',
+  editProfile: 'Edit profile',
+  editProfileNotLoggedIn: 'You can edit your profile once logged in.',
+  displayName: 'Display name',
+  bio: 'Bio',
+  avatar: 'Avatar',
+  headerImage: 'Header',
+  avatarCropHint: 'Cropped to a square.',
+  headerCropHint: 'Cropped to three times as wide as it is tall.',
+  fieldName: 'Label',
+  fieldValue: 'Content',
+  addField: 'Add field',
+  removeField: 'Remove field',
+  verifiedFieldHint: 'A link is verified when the page it links to links back to your profile with rel="me".',
+  accountSettings: 'Account',
+  lockedAccount: 'Manually approve followers',
+  botAccount: 'This is a bot account',
+  discoverableAccount: 'Feature your profile and posts in discovery',
+  hideCollections: 'Hide who you follow and who follows you',
+  postingDefaults: 'Posting defaults',
+  defaultPostPrivacy: 'Post privacy',
+  defaultPostLanguage: 'Post language',
+  noDefaultLanguage: 'None',
+  defaultSensitive: 'Always mark media as sensitive',
+  discardChanges: 'Discard changes',
+  profilePreview: 'Preview',
+  savedProfile: 'Saved profile',
+  unableToSaveProfile: 'Unable to save profile: {error}',
+  instanceCapabilities: 'Instance capabilities',
+  instanceCapabilitiesDescription: 'What Enafore detected about the server software of each instance you are logged in to. This can be useful when reporting a bug.',
+  instanceCapabilitiesNotLoggedIn: 'Instance capabilities will appear here when logged in.',
+  rawInstanceInfo: 'Raw instance info',
+  capabilityYes: 'Yes',
+  capabilityNo: 'No',
+  capabilityUnknown: 'Unknown',
+  backup: 'Export and import',
+  exportSettings: 'Export settings',
+  exportSettingsDescription: 'Save your settings to a file, to back them up or to move them to another browser.',
+  includeLogins: 'Include instance logins and API keys',
+  includeLoginsWarning: 'Anyone with this file will be able to use your accounts. Keep it somewhere safe.',
+  importSettings: 'Import settings',
+  importSettingsDescription: 'Load settings from an exported file. They are merged with your current settings, and instances you are already logged in to are left alone.',
+  settingsFile: 'Settings file',
+  settingsImported: `Imported {count, plural,
+    =1 {1 setting}
+    other {{count} settings}
+  }`,
+  unableToImportSettings: 'Unable to import settings: {error}',
+  settingsFileInvalid: 'This is not an Enafore settings file',
+  settingsFileTooNew: 'This settings file is from a newer version of Enafore',
   // Settings
   settings: 'Settings',
   general: 'General',
@@ -405,8 +528,22 @@ export default {
   allSensitive: 'Treat all media as sensitive',
   largeMedia: 'Show large inline images and videos',
   autoplayGifs: 'Autoplay animated GIFs',
+  keepOriginalMedia: 'Upload images as they are, without resizing them or removing their metadata (such as location)',
   hideCards: 'Hide link preview cards',
   underlineLinks: 'Underline links in posts and profiles',
+  translation: 'Translation',
+  translationProvider: 'Translate posts using',
+  translationProviderInstance: 'Your instance',
+  translationProviderLibreTranslate: 'LibreTranslate',
+  translationProviderCustom: 'A self-hosted SimplyTranslate server',
+  translationProviderGoogle: 'Google Translate (via SimplyTranslate)',
+  instanceTranslationDescription: 'Not every instance supports translation. Your instance decides which service the post is sent to.',
+  libreTranslateUrl: 'LibreTranslate URL',
+  libreTranslateApiKey: 'LibreTranslate API key (optional)',
+  customTranslationUrl: 'SimplyTranslate API URL',
+  customTranslationUrlDescription: 'Posts are translated using whatever engine the server is configured with by default.',
+  translationTargetLanguage: 'Translate posts into',
+  sameAsInterfaceLanguage: 'The same language as the interface',
   accessibility: 'Accessibility',
   reduceMotion: 'Reduce motion in UI animations',
   disableTappable: 'Disable tappable area on entire post',
@@ -440,6 +577,9 @@ export default {
   immediacy: 'Immediacy',
   showAbsoluteTimestamps: 'Show absolute timestamps (e.g. "March 3rd") instead of relative timestamps (e.g. "5 minutes ago")',
   ui: 'UI',
+  interfaceLanguage: 'Interface language',
+  browserDefaultLanguage: 'Same as the browser',
+  interfaceLanguageDescription: 'Missing translations are shown in English. Enafore reloads to change the language.',
   grayscaleMode: 'Show emojis, images, and videos in grayscale',
   wellnessFooter: `These settings are partly based on guidelines from the
     <a rel="noopener" target="_blank" href="https://humanetech.com">Center for Humane Technology</a>.`,
@@ -474,6 +614,13 @@ export default {
   getAnInstanceDescription: 'An instance is your Mastodon home server, such as mastodon.social or cybre.space.',
   getAnInstancePost: '?',
   joinMastodon: 'Join Mastodon!',
+  loginPermissions: 'Permissions',
+  fullAccess: 'Full access',
+  readOnlyAccess: 'Read only',
+  readOnlyAccessDescription: "You'll be able to read your timelines and notifications, but not post, favorite, boost, follow or get push notifications.",
+  loggedInReadOnly: 'This login is read only.',
+  moderatorAccess: 'Full access and moderation',
+  moderatorAccessDescription: 'For moderators and admins. You\'ll be able to handle reports, sign-ups and domain blocks from Enafore.',
   instancesYouveLoggedInTo: "Instances you've logged in to:",
   addAnotherInstance: 'Add another instance',
   youreNotLoggedIn: "You're not logged in to any instances.",
@@ -506,7 +653,6 @@ export default {
   // Push notifications
   browserDoesNotSupportPush: "Your browser doesn't support push notifications.",
   deniedPush: 'You have denied permission to show notifications.',
-  pushNotificationsNote: 'Note that you can only have push notifications for one instance at a time.',
   pushSettings: 'Push notification settings',
   newFollowers: 'New followers',
   reblogs: 'Boosts',
@@ -514,6 +660,10 @@ export default {
   subscriptions: 'Subscribed posts',
   needToReauthenticate: 'You need to reauthenticate in order to enable push notification. Log out of {instance}?',
   failedToUpdatePush: 'Failed to update push notification settings: {error}',
+  pushReplyPlaceholder: 'Write a reply',
+  followBack: 'Follow back',
+  dismissNotification: 'Dismiss',
+  markNotificationsRead: 'Mark as read',
   // Themes
   chooseTheme: 'Choose a theme',
   darkBackground: 'Dark background',
@@ -637,9 +787,22 @@ export default {
   loadingMore: 'Loading more…',
   loadMore: 'Load more',
   showCountMore: 'Show {count} more',
+  unreadSinceLastVisit: 'Unread since your last visit',
   nothingToShow: 'Nothing to show.',
   // status thread page
   statusThreadPage: 'Thread page',
+  threadReaderPage: 'Thread page in reader mode',
+  readerMode: 'Reader mode',
+  threadBy: 'Thread by {account}',
+  postsInThread: `{count, plural,
+    =1 {1 post}
+    other {{count} posts}
+  }`,
+  showOtherReplies: `Show {count, plural,
+    =1 {1 reply}
+    other {{count} replies}
+  } from others`,
+  hideOtherReplies: 'Hide replies from others',
   status: 'Post',
   // toast messages
   blockedAccount: 'Blocked account',
@@ -652,19 +815,39 @@ export default {
   unableToUnbookmark: 'Unable to unbookmark: {error}',
   cannotPostOffline: 'You cannot post while offline',
   unableToPost: 'Unable to post: {error}',
+  unableToReply: 'Unable to reply: {error}',
+  unableToReschedule: 'Unable to reschedule post: {error}',
+  unableToCancelScheduledStatus: 'Unable to cancel scheduled post: {error}',
   statusDeleted: 'Post deleted',
   unableToDelete: 'Unable to delete post: {error}',
   cannotFavoriteOffline: 'You cannot favorite while offline',
   cannotUnfavoriteOffline: 'You cannot unfavorite while offline',
   unableToFavorite: 'Unable to favorite: {error}',
   unableToUnfavorite: 'Unable to unfavorite: {error}',
+  unableToReact: 'Unable to add reaction: {error}',
+  unableToUnreact: 'Unable to remove reaction: {error}',
+  unableToDismissAnnouncement: 'Unable to dismiss announcement: {error}',
+  unableToDismissSuggestion: 'Unable to dismiss suggestion: {error}',
+  unableToMarkConversationAsRead: 'Unable to mark conversation as read: {error}',
+  unableToDeleteConversation: 'Unable to delete conversation: {error}',
+  dismissedSuggestion: 'You won\'t be suggested this account again',
   followedAccount: 'Followed account',
   unfollowedAccount: 'Unfollowed account',
   unableToFollow: 'Unable to follow account: {error}',
   unableToUnfollow: 'Unable to unfollow account: {error}',
   accessTokenRevoked: 'The access token was revoked, logged out of {instance}',
   loggedOutOfInstance: 'Logged out of {instance}',
+  unableToRevokeToken: 'Unable to revoke the access token for {instance}, you may want to revoke it in your account settings: {error}',
   failedToUploadMedia: 'Failed to upload media: {error}',
+  uploadingMedia: `Uploading {name}{hasPercent, select,
+    true {, {percent}%}
+    other {}
+  }`,
+  cancelUpload: 'Cancel',
+  uploadCanceled: 'Upload canceled',
+  mediaProcessing: 'Processing…',
+  mediaProcessingFailed: 'The instance failed to process the media: {error}',
+  unableToProcessImage: 'Unable to resize the image or remove its metadata (such as location), so the original was uploaded: {error}',
   mutedAccount: 'Muted account',
   unmutedAccount: 'Unmuted account',
   unableToMute: 'Unable to mute account: {error}',
@@ -689,6 +872,31 @@ export default {
   unableToApproveFollowRequest: 'Unable to approve follow request: {error}',
   unableToRejectFollowRequest: 'Unable to reject follow request: {error}',
   searchError: 'Error during search: {error}',
+  searchType: 'Search for',
+  searchAccounts: 'Accounts',
+  searchHashtags: 'Hashtags',
+  noSearchResults: 'No results',
+  searchOperators: 'Search operators',
+  searchOperatorsDescription: 'These only narrow down posts, and only work if your instance has full-text search.',
+  searchFrom: 'From',
+  searchFromPlaceholder: 'user@example.com',
+  searchAfter: 'After',
+  searchBefore: 'Before',
+  searchHasMedia: 'Has media',
+  searchIsReply: 'Is a reply',
+  searchInLibrary: "Only posts I've interacted with",
+  recentSearches: 'Recent searches',
+  clearSearchHistory: 'Clear history',
+  removeFromSearchHistory: 'Remove {query} from recent searches',
+  saveSearch: 'Save search',
+  searchIsSaved: 'Saved',
+  searchSaved: 'Search saved',
+  savedSearch: 'Saved search',
+  savedSearches: 'Saved searches',
+  savedSearchDeleted: 'Saved search deleted',
+  savedSearchNotFound: 'This saved search no longer exists.',
+  deleteSavedSearch: 'Delete',
+  openInSearch: 'Open in search',
   hidDomain: 'Hid domain',
   unhidDomain: 'Unhid domain',
   unableToHideDomain: 'Unable to hide domain: {error}',
@@ -702,12 +910,68 @@ export default {
   unableToUnsubscribe: 'Unable to unsubscribe: {error}',
   showingOfflineContent: 'Internet request failed. Showing offline content.',
   youAreOffline: 'You seem to be offline. You can still read posts while offline.',
+  // Drafts
+  drafts: 'Drafts',
+  noDrafts: 'You don\'t have any drafts.',
+  saveDraft: 'Save draft',
+  draftName: 'Draft name',
+  draftSaved: 'Draft saved',
+  unableToSaveDraft: 'Unable to save draft',
+  openDraft: 'Open',
+  deleteDraftConfirm: 'Delete the draft "{name}"?',
+  draftMedia: `{count, plural,
+    =1 {1 media attachment}
+    other {{count} media attachments}
+  }`,
+  draftMediaExpired: `{count, plural,
+    =1 {1 media attachment had expired on the server and was removed from the draft}
+    other {{count} media attachments had expired on the server and were removed from the draft}
+  }`,
+  // Outbox
+  outbox: 'Outbox',
+  outboxLabel: `Outbox {count, plural,
+    =0 {}
+    other {({count})}
+  }`,
+  outboxEmpty: 'Nothing is waiting to be sent.',
+  outboxOffline: 'You are offline. These will be sent once you are back online.',
+  queuedInOutbox: 'You are offline. This will be sent once you are back online.',
+  outboxSent: 'Sent everything that was waiting in the outbox.',
+  outboxFailures: `{count, plural,
+    =1 {1 item in the outbox could not be sent}
+    other {{count} items in the outbox could not be sent}
+  }`,
+  outboxError: 'Could not send: {error}',
+  cannotRetryOffline: 'You cannot retry while offline',
+  retry: 'Retry',
+  discard: 'Discard',
+  outboxPost: 'Post',
+  outboxFavorite: 'Favorite',
+  outboxUnfavorite: 'Unfavorite',
+  outboxReblog: 'Boost',
+  outboxUnreblog: 'Unboost',
+  outboxBookmark: 'Bookmark',
+  outboxUnbookmark: 'Remove bookmark',
+  outboxReact: 'React',
+  outboxUnreact: 'Remove reaction',
   // Snackbar UI
   updateAvailable: 'App update available.',
   // Word/phrase filters
   wordFilters: 'Word filters',
   noFilters: 'You don\'t have any word filters.',
+  filter: 'Filter',
+  filterTitle: 'Title',
+  filterKeywords: 'Keywords',
+  filterDetails: `{keywords, plural,
+    =1 {1 keyword}
+    other {{keywords} keywords}
+  }, {statuses, plural,
+    =1 {1 post}
+    other {{statuses} posts}
+  }`,
   wordOrPhrase: 'Word or phrase',
+  addKeyword: 'Add keyword',
+  removeKeyword: 'Remove keyword',
   contexts: 'Contexts',
   addFilter: 'Add filter',
   editFilter: 'Edit filter',
@@ -721,6 +985,20 @@ export default {
   whereToFilter: 'Where to filter',
   irreversible: 'Irreversible',
   wholeWord: 'Whole word',
+  filterAction: 'Action',
+  filterActionWarn: 'Warn',
+  filterActionHide: 'Hide',
+  filterActionWarnDescription: 'Hide behind a warning that says which filter matched',
+  filterActionHideDescription: 'Hide completely',
+  filteredStatuses: 'Filtered posts',
+  filteredStatus: 'Post {id}',
+  removeStatusFromFilter: 'Remove post from filter',
+  filterStatus: 'Filter this post…',
+  newFilter: 'New filter…',
+  addedStatusToFilter: 'Added post to filter {filter}',
+  removedStatusFromFilter: 'Removed post from filter {filter}',
+  filteredStatusWarning: 'Filtered: {title}',
+  showAnyway: 'Show anyway',
   save: 'Save',
   updatedFilter: 'Updated filter',
   createdFilter: 'Created filter',
@@ -748,6 +1026,141 @@ export default {
   statusesAccountTimeline: 'Statuses: account timeline',
   statusesList: 'Statuses: list',
   notificationsOnInstance: 'Notifications on {instance}',
+  trendingStatusesOnInstance: 'Statuses: trending on {instance}',
+  // Announcements
+  announcements: 'Announcements',
+  announcementLabel: 'Announcement from {date}',
+  announcementDateRange: '{start} – {end}',
+  announcementReaction: '{name}, {count, plural, =1 {1 reaction} other {# reactions}}',
+  dismissAnnouncement: 'Dismiss announcement',
+  addReaction: 'Add reaction',
+  // Conversations
+  conversations: 'Conversations',
+  conversation: 'Conversation',
+  noConversations: 'No direct messages yet.',
+  conversationLabel: `{participants}: {preview}, {date}{unread, select,
+    true {, unread}
+    other {}
+  }`,
+  conversationWith: 'With {participants}',
+  conversationNotFound: 'This conversation couldn\'t be found. It may have been deleted.',
+  messages: 'Messages',
+  markConversationAsRead: 'Mark as read',
+  deleteConversation: 'Delete conversation',
+  deleteConversationConfirm: 'Delete this conversation? It will only be removed for you.',
+  // Explore
+  explore: 'Explore',
+  exploreTabs: 'Explore sections',
+  exploreDescription: 'Trending posts, hashtags, news and suggestions',
+  exploreNotLoggedIn: 'What\'s popular on your instance will appear here when logged in.',
+  trendingStatuses: 'Posts',
+  trendingTags: 'Hashtags',
+  trendingLinks: 'News',
+  suggestedAccounts: 'For you',
+  noTrendingTags: 'No hashtags are trending right now.',
+  noTrendingLinks: 'No links are trending right now.',
+  trendingPeople: '{count, plural, =1 {1 person} other {# people}} in the past 2 days',
+  dismissSuggestion: 'Don\'t suggest again',
+  // Moderation
+  moderation: 'Moderation',
+  moderationTools: 'Reports, sign-ups and domain blocks',
+  moderatingAs: 'Your role: {role}',
+  moderationNotLoggedIn: 'Moderation tools will appear here when logged in.',
+  moderationNotStaff: 'Your account isn\'t a moderator or admin on this instance.',
+  moderationNeedsLogin: 'To moderate from Enafore, log out of this instance and log in again with full access and moderation.',
+  moderationNotAllowed: 'Your role doesn\'t allow this.',
+  unableToModerate: 'Unable to moderate: {error}',
+  reports: 'Reports',
+  unresolvedReports: 'Unresolved',
+  resolvedReports: 'Resolved',
+  noReports: 'There are no unresolved reports.',
+  noResolvedReports: 'There are no resolved reports.',
+  reportNumber: 'Report #{id}',
+  reportSummary: `Reported by {reporter} on {date}, {count, plural,
+    =0 {no posts}
+    one {1 post}
+    other {{count} posts}
+  }`,
+  reportCategorySpam: 'Spam',
+  reportCategoryLegal: 'Illegal content',
+  reportCategoryViolation: 'Breaks the rules',
+  reportCategoryOther: 'Other',
+  reportedAccount: 'Reported account',
+  reportState: 'Status',
+  resolved: 'Resolved',
+  unresolved: 'Unresolved',
+  reportCategory: 'Category',
+  reportRules: 'Rules',
+  reportedBy: 'Reported by',
+  reportDate: 'Date',
+  assignedTo: 'Assigned to',
+  nobody: 'Nobody',
+  reportComment: 'Comment',
+  reportedStatuses: 'Reported posts',
+  noReportedStatuses: 'No posts were reported.',
+  reportedStatusMedia: `{count, plural,
+    one {1 attachment}
+    other {{count} attachments}
+  }`,
+  assignReportToSelf: 'Assign to me',
+  unassignReport: 'Unassign',
+  resolveReport: 'Resolve',
+  reopenReport: 'Reopen',
+  resolvedReport: 'Resolved report',
+  reopenedReport: 'Reopened report',
+  assignedReport: 'Assigned report to you',
+  unassignedReport: 'Unassigned report',
+  viewReport: 'View report',
+  reviewAccount: 'Review',
+  moderateAccount: 'Moderate account',
+  moderateAccountLabel: 'Moderate {account}',
+  accountActions: 'Account actions',
+  accountActionWarn: 'Warn',
+  accountActionSensitive: 'Mark media as sensitive',
+  accountActionDisable: 'Freeze login',
+  accountActionSilence: 'Limit',
+  accountActionSuspend: 'Suspend',
+  accountActionAndResolve: '{action} and resolve',
+  accountActionConfirm: '{action}: {account}?',
+  accountActionText: 'Message to the user (optional)',
+  accountActionSendEmail: 'Notify the user by email',
+  appliedModerationAction: 'Applied moderation action',
+  pendingAccounts: 'Pending sign-ups',
+  accountModerationStatus: 'Status',
+  accountPending: 'Waiting for approval',
+  accountDisabled: 'Login frozen',
+  accountSilenced: 'Limited',
+  accountSuspended: 'Suspended',
+  accountSensitized: 'Media marked as sensitive',
+  accountNoRestrictions: 'No restrictions',
+  email: 'Email',
+  ipAddress: 'IP address',
+  joined: 'Joined',
+  signUpReason: 'Reason for joining',
+  unsilenceAccount: 'Undo limit',
+  unsuspendAccount: 'Undo suspension',
+  unsensitizeAccount: 'Undo sensitive',
+  approvedAccount: 'Approved sign-up',
+  rejectedAccount: 'Rejected sign-up',
+  unlimitedAccount: 'Undid limit',
+  unsuspendedAccount: 'Undid suspension',
+  unsensitizedAccount: 'Undid sensitive',
+  domainBlocks: 'Domain blocks',
+  noDomainBlocks: 'No domains are blocked.',
+  domain: 'Domain',
+  blockDomain: 'Block domain',
+  unblockDomain: 'Remove domain block',
+  unblockDomainConfirm: 'Remove the block on {domain}?',
+  blockedDomain: 'Blocked {domain}',
+  unblockedDomain: 'Removed the block on {domain}',
+  domainBlockSeverity: 'Severity',
+  domainBlockNoop: 'None',
+  domainBlockSilence: 'Limit',
+  domainBlockSuspend: 'Suspend',
+  domainBlockRejectMedia: 'Reject media files',
+  domainBlockRejectReports: 'Reject reports',
+  domainBlockPrivateComment: 'Private comment',
+  domainBlockPublicComment: 'Public comment',
   // Details
   statusEdited: 'Edited'
 }
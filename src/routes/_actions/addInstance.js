@@ -6,6 +6,8 @@ import { store } from '../_store/store.js'
 import { updateVerifyCredentialsForInstance } from './instances.js'
 import { updateCustomEmojiForInstance } from './emoji.js'
 import { database } from '../_database/database.js'
+import { generateCodeVerifier, generateCodeChallenge } from '../_utils/pkce.js'
+import { LOGIN_SCOPES } from '../_utils/oauthScopes.js'
 
 const GENERIC_ERROR = `
   Is this a valid instance? Is a browser extension
@@ -24,14 +26,14 @@ function getRedirectUri () {
   return `${location.origin}/settings/instances/add`
 }
 
-async function redirectToOauth () {
+async function redirectToOauth (scopes) {
   let { instanceNameInSearch, loggedInInstances } = store.get()
   instanceNameInSearch = instanceNameInSearch.replace(/^https?:\/\//, '').replace(/\/+$/, '').toLowerCase()
   if (Object.keys(loggedInInstances).includes(instanceNameInSearch)) {
     throw createKnownError(`You've already logged in to ${instanceNameInSearch}`)
   }
   const redirectUri = getRedirectUri()
-  const registrationPromise = registerApplication(instanceNameInSearch, redirectUri)
+  const registrationPromise = registerApplication(instanceNameInSearch, redirectUri, scopes)
   try {
     const instanceInfo = await getInstanceInfo(instanceNameInSearch)
     await database.setInstanceInfo(instanceNameInSearch, instanceInfo) // cache for later
@@ -43,15 +45,23 @@ async function redirectToOauth () {
     }
   }
   const instanceData = await registrationPromise
+  // the verifier has to survive the redirect, so it's saved along with the app
+  const codeVerifier = generateCodeVerifier()
   store.set({
     currentRegisteredInstanceName: instanceNameInSearch,
-    currentRegisteredInstance: instanceData
+    currentRegisteredInstance: {
+      ...instanceData,
+      code_verifier: codeVerifier,
+      scopes
+    }
   })
   store.save()
   const oauthUrl = generateAuthLink(
     instanceNameInSearch,
     instanceData.client_id,
-    redirectUri
+    redirectUri,
+    scopes,
+    await generateCodeChallenge(codeVerifier)
   )
   // setTimeout to allow the browser to *actually* save the localStorage data (fixes Safari bug apparently)
   setTimeout(() => {
@@ -59,13 +69,14 @@ async function redirectToOauth () {
   }, 200)
 }
 
-export async function logInToInstance () {
+// scopes is one of LOGIN_SCOPES, e.g. for a read-only login
+export async function logInToInstance (scopes = LOGIN_SCOPES.full) {
   store.set({
     logInToInstanceLoading: true,
     logInToInstanceError: null
   })
   try {
-    await redirectToOauth()
+    await redirectToOauth(scopes)
   } catch (err) {
     console.error(err)
     const error = `${(err.message || err.name).replace(/\.$/, '')}. ` +
@@ -88,8 +99,15 @@ async function registerNewInstance (code) {
     currentRegisteredInstance.client_id,
     currentRegisteredInstance.client_secret,
     code,
-    redirectUri
+    redirectUri,
+    currentRegisteredInstance.code_verifier
   )
+  // keep the app's credentials, since we need them to revoke the token when logging out
+  instanceData.client_id = currentRegisteredInstance.client_id
+  instanceData.client_secret = currentRegisteredInstance.client_secret
+  if (!instanceData.scope) {
+    instanceData.scope = currentRegisteredInstance.scopes
+  }
   const { loggedInInstances, loggedInInstancesInOrder, instanceThemes } = store.get()
   instanceThemes[currentRegisteredInstanceName] = DEFAULT_THEME
   loggedInInstances[currentRegisteredInstanceName] = instanceData
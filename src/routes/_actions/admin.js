@@ -0,0 +1,100 @@
+import { store } from '../_store/store.js'
+import {
+  updateReport as updateReportOnServer,
+  performAccountAction as performAccountActionOnServer,
+  updateAccount as updateAccountOnServer,
+  createDomainBlock as createDomainBlockOnServer,
+  deleteDomainBlock as deleteDomainBlockOnServer
+} from '../_api/admin.js'
+import { emit } from '../_utils/eventBus.ts'
+import { toast } from '../_components/toast/toast.js'
+import { formatIntl } from '../_utils/formatIntl.js'
+
+// Moderation actions for staff accounts. Each resolves to the updated report, account or
+// domain block, or to undefined if it failed, in which case it's already been toasted.
+
+const REPORT_TOASTS = {
+  resolve: 'intl.resolvedReport',
+  reopen: 'intl.reopenedReport',
+  assign_to_self: 'intl.assignedReport',
+  unassign: 'intl.unassignedReport'
+}
+
+const ACCOUNT_TOASTS = {
+  approve: 'intl.approvedAccount',
+  reject: 'intl.rejectedAccount',
+  unsilence: 'intl.unlimitedAccount',
+  unsuspend: 'intl.unsuspendedAccount',
+  unsensitive: 'intl.unsensitizedAccount'
+}
+
+function toastError (e) {
+  console.error(e)
+  /* no await */ toast.say(formatIntl('intl.unableToModerate', { error: (e.message || '') }))
+}
+
+// action is one of "resolve", "reopen", "assign_to_self" or "unassign"
+export async function updateReport (reportId, action) {
+  const { currentInstance, accessToken } = store.get()
+  try {
+    const report = await updateReportOnServer(currentInstance, accessToken, reportId, action)
+    /* no await */ toast.say(REPORT_TOASTS[action])
+    return report
+  } catch (e) {
+    toastError(e)
+  }
+}
+
+// type is one of "none", "sensitive", "disable", "silence" or "suspend". If there's a report,
+// it's resolved too. Resolves to true if it worked, since the API doesn't return anything.
+export async function performAccountAction (accountId, { type, reportId, text, sendEmail }) {
+  const { currentInstance, accessToken } = store.get()
+  try {
+    await performAccountActionOnServer(currentInstance, accessToken, accountId, {
+      type,
+      report_id: reportId,
+      text,
+      send_email_notification: sendEmail
+    })
+    /* no await */ toast.say('intl.appliedModerationAction')
+    return true
+  } catch (e) {
+    toastError(e)
+  }
+}
+
+// action is one of "approve", "reject", "unsilence", "unsuspend" or "unsensitive"
+export async function updateAccount (accountId, action) {
+  const { currentInstance, accessToken } = store.get()
+  try {
+    const adminAccount = await updateAccountOnServer(currentInstance, accessToken, accountId, action)
+    /* no await */ toast.say(ACCOUNT_TOASTS[action])
+    // e.g. the list of pending accounts
+    emit('refreshAccountsList')
+    return adminAccount
+  } catch (e) {
+    toastError(e)
+  }
+}
+
+export async function createDomainBlock (domainBlock) {
+  const { currentInstance, accessToken } = store.get()
+  try {
+    const newDomainBlock = await createDomainBlockOnServer(currentInstance, accessToken, domainBlock)
+    /* no await */ toast.say(formatIntl('intl.blockedDomain', { domain: domainBlock.domain }))
+    return newDomainBlock
+  } catch (e) {
+    toastError(e)
+  }
+}
+
+export async function deleteDomainBlock (domainBlock) {
+  const { currentInstance, accessToken } = store.get()
+  try {
+    await deleteDomainBlockOnServer(currentInstance, accessToken, domainBlock.id)
+    /* no await */ toast.say(formatIntl('intl.unblockedDomain', { domain: domainBlock.domain }))
+    return true
+  } catch (e) {
+    toastError(e)
+  }
+}
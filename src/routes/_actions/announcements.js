@@ -0,0 +1,151 @@
+import { store } from '../_store/store.js'
+import {
+  getAnnouncements,
+  dismissAnnouncement as dismissAnnouncementOnServer,
+  addAnnouncementReaction,
+  removeAnnouncementReaction
+} from '../_api/announcements.js'
+import { toast } from '../_components/toast/toast.js'
+import { formatIntl } from '../_utils/formatIntl.js'
+import { importShowEmojiDialog } from '../_components/dialog/asyncDialogs/importShowEmojiDialog.js'
+import { updateCustomEmojiForInstance } from './emoji.js'
+
+// Announcements are the notices that an instance's admins post, e.g. about maintenance. They're
+// fetched when the instance loads and then kept up to date by the "announcement",
+// "announcement.reaction" and "announcement.delete" streaming events, see processMessage.js
+
+function getAnnouncementsForInstance (instanceName) {
+  return store.get().instanceAnnouncements[instanceName] || []
+}
+
+function setAnnouncementsForInstance (instanceName, announcements) {
+  store.setInstanceData(instanceName, 'instanceAnnouncements', announcements)
+}
+
+// Changes one announcement without changing the objects that the store already has, so that
+// Svelte notices. The callback gets a copy with a copy of the reactions.
+function modifyAnnouncement (instanceName, announcementId, callback) {
+  setAnnouncementsForInstance(instanceName, getAnnouncementsForInstance(instanceName).map(announcement => {
+    if (announcement.id !== announcementId) {
+      return announcement
+    }
+    const modified = { ...announcement, reactions: (announcement.reactions || []).map(reaction => ({ ...reaction })) }
+    callback(modified)
+    modified.reactions = modified.reactions.filter(reaction => reaction.count > 0)
+    return modified
+  }))
+}
+
+function findCustomEmoji (instanceName, name) {
+  const customEmoji = store.get().customEmoji[instanceName] || []
+  return customEmoji.find(emoji => emoji.shortcode === name)
+}
+
+export async function updateAnnouncementsForInstance (instanceName) {
+  const { loggedInInstances } = store.get()
+  const accessToken = loggedInInstances[instanceName].access_token
+  try {
+    const announcements = await getAnnouncements(instanceName, accessToken)
+    setAnnouncementsForInstance(instanceName, announcements)
+  } catch (e) {
+    console.error('unable to fetch announcements', e) // not supported by every server, so don't bother the user
+  }
+}
+
+// from the "announcement" streaming event, for a new or edited announcement
+export function addOrUpdateAnnouncement (instanceName, announcement) {
+  const announcements = getAnnouncementsForInstance(instanceName)
+  const index = announcements.findIndex(({ id }) => id === announcement.id)
+  if (index === -1) {
+    setAnnouncementsForInstance(instanceName, [announcement, ...announcements])
+  } else {
+    // the server doesn't know which reactions are ours when it broadcasts an edit
+    const myReactions = new Set((announcements[index].reactions || []).filter(({ me }) => me).map(({ name }) => name))
+    const reactions = (announcement.reactions || []).map(reaction => ({ ...reaction, me: myReactions.has(reaction.name) }))
+    setAnnouncementsForInstance(instanceName, announcements.map((existing, i) => (
+      i === index ? { ...announcement, reactions } : existing
+    )))
+  }
+}
+
+// from the "announcement.reaction" streaming event, which has the new count for one reaction
+export function updateAnnouncementReactionCount (instanceName, { announcement_id: announcementId, name, count }) {
+  modifyAnnouncement(instanceName, announcementId, announcement => {
+    const reaction = announcement.reactions.find(reaction => reaction.name === name)
+    if (reaction) {
+      reaction.count = count
+    } else {
+      const customEmoji = findCustomEmoji(instanceName, name)
+      announcement.reactions.push({
+        name,
+        count,
+        me: false,
+        url: customEmoji && customEmoji.url,
+        static_url: customEmoji && customEmoji.static_url
+      })
+    }
+  })
+}
+
+// from the "announcement.delete" streaming event
+export function deleteAnnouncement (instanceName, announcementId) {
+  setAnnouncementsForInstance(instanceName, getAnnouncementsForInstance(instanceName).filter(({ id }) => id !== announcementId))
+}
+
+function setReactedLocally (instanceName, announcementId, reactionToChange, reacting) {
+  modifyAnnouncement(instanceName, announcementId, announcement => {
+    const reaction = announcement.reactions.find(reaction => reaction.name === reactionToChange.name)
+    if (reaction) {
+      if (reaction.me !== reacting) {
+        reaction.me = reacting
+        reaction.count += reacting ? 1 : -1
+      }
+    } else if (reacting) {
+      announcement.reactions.push({ ...reactionToChange, count: 1, me: true })
+    }
+  })
+}
+
+// reaction is { name, url, static_url }, where the URLs are only there for custom emoji
+export async function setAnnouncementReacted (announcementId, reaction, reacting) {
+  const { currentInstance, accessToken } = store.get()
+  setReactedLocally(currentInstance, announcementId, reaction, reacting)
+  try {
+    await (reacting
+      ? addAnnouncementReaction(currentInstance, accessToken, announcementId, reaction.name)
+      : removeAnnouncementReaction(currentInstance, accessToken, announcementId, reaction.name))
+  } catch (e) {
+    console.error(e)
+    setReactedLocally(currentInstance, announcementId, reaction, !reacting)
+    /* no await */ toast.say(formatIntl(reacting ? 'intl.unableToReact' : 'intl.unableToUnreact', { error: (e.message || '') }))
+  }
+}
+
+export async function pickAnnouncementReaction (announcementId) {
+  const { currentInstance } = store.get()
+  const [showEmojiDialog] = await Promise.all([
+    importShowEmojiDialog(),
+    updateCustomEmojiForInstance(currentInstance)
+  ])
+  showEmojiDialog(pickedEmoji => {
+    const customEmoji = pickedEmoji.name && findCustomEmoji(currentInstance, pickedEmoji.name)
+    /* no await */ setAnnouncementReacted(announcementId, {
+      name: pickedEmoji.name || pickedEmoji.unicode,
+      url: customEmoji && customEmoji.url,
+      static_url: customEmoji && customEmoji.static_url
+    }, true)
+  })
+}
+
+export async function dismissAnnouncement (announcementId) {
+  const { currentInstance, accessToken } = store.get()
+  const announcements = getAnnouncementsForInstance(currentInstance)
+  deleteAnnouncement(currentInstance, announcementId)
+  try {
+    await dismissAnnouncementOnServer(currentInstance, accessToken, announcementId)
+  } catch (e) {
+    console.error(e)
+    setAnnouncementsForInstance(currentInstance, announcements)
+    /* no await */ toast.say(formatIntl('intl.unableToDismissAnnouncement', { error: (e.message || '') }))
+  }
+}
@@ -3,9 +3,15 @@ import { toast } from '../_components/toast/toast.js'
 import { bookmarkStatus, unbookmarkStatus } from '../_api/bookmark.js'
 import { database } from '../_database/database.js'
 import { formatIntl } from '../_utils/formatIntl.js'
+import { queueOutboxItem } from './outbox.js'
 
 export async function setStatusBookmarkedOrUnbookmarked (statusId, bookmarked) {
-  const { currentInstance, accessToken } = store.get()
+  const { online, currentInstance, accessToken } = store.get()
+  if (!online) {
+    store.setStatusBookmarked(currentInstance, statusId, bookmarked)
+    await queueOutboxItem('bookmark', { statusId, bookmarked })
+    return
+  }
   try {
     if (bookmarked) {
       await bookmarkStatus(currentInstance, accessToken, statusId)
@@ -0,0 +1,122 @@
+import { store } from '../_store/store.js'
+import { toast } from '../_components/toast/toast.js'
+import { formatIntl } from '../_utils/formatIntl.js'
+import { downloadFile } from '../_utils/downloadFile.js'
+import { getAllLogs } from '../_utils/console/storage.ts'
+import { getInstanceCapabilities } from '../_utils/instanceCapabilities.ts'
+import { isReadOnlyLogin } from '../_utils/oauthScopes.js'
+import { createSettingsBackup } from './settingsBackup.js'
+
+// A bug report is { format, version, createdAt, enafore, browser, instances, settings, logs }.
+// It's meant to be attached to a public issue, so anything that could be used to access an
+// account is scrubbed, both from the settings and from the logs.
+
+const FORMAT = 'enafore-bug-report'
+const VERSION = 1
+
+const REDACTED = '[redacted]'
+
+// the stacks of other logs just point at the console hook
+const LOG_TYPES_WITH_STACKS = ['error', 'warn', 'trace', 'assert']
+
+const SECRET_KEY_REGEX = /token|secret|password|api_?key|code_verifier|^auth$|^p256dh$/i
+
+// e.g. in URLs or request headers that ended up in an error message
+const SECRET_TEXT_REGEXES = [
+  /(Bearer\s+)[^\s"',]+/gi,
+  /((?:access_token|client_secret|code|code_verifier)=)[^&\s"',]+/gi
+]
+
+function getFileName () {
+  return `enafore-bug-report-${new Date().toISOString().substring(0, 10)}.json`
+}
+
+function getSecretValues () {
+  const { loggedInInstances, currentRegisteredInstance, libreTranslateApiKey } = store.get()
+  const values = [libreTranslateApiKey]
+  for (const data of [...Object.values(loggedInInstances), currentRegisteredInstance]) {
+    if (data) {
+      values.push(data.access_token, data.client_secret, data.code_verifier)
+    }
+  }
+  return values.filter(value => typeof value === 'string' && value.length >= 8)
+}
+
+function scrub (value, secretValues) {
+  if (typeof value === 'string') {
+    for (const secret of secretValues) {
+      value = value.split(secret).join(REDACTED)
+    }
+    for (const regex of SECRET_TEXT_REGEXES) {
+      value = value.replace(regex, `$1${REDACTED}`)
+    }
+    return value
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => scrub(item, secretValues))
+  }
+  if (value && typeof value === 'object') {
+    const result = {}
+    for (const [key, item] of Object.entries(value)) {
+      result[key] = SECRET_KEY_REGEX.test(key) ? REDACTED : scrub(item, secretValues)
+    }
+    return result
+  }
+  return value
+}
+
+function getInstances () {
+  const { loggedInInstancesInOrder, loggedInInstances, currentInstance, instanceInfos } = store.get()
+  return loggedInInstancesInOrder.map(name => ({
+    name,
+    current: name === currentInstance,
+    readOnly: isReadOnlyLogin(loggedInInstances[name]),
+    // null if the instance info hasn't been loaded, which is only done on startup for the current one
+    capabilities: getInstanceCapabilities(instanceInfos[name])
+  }))
+}
+
+function formatLog (log) {
+  return {
+    time: new Date(log.time).toISOString(),
+    session: log.session,
+    type: log.type,
+    args: log.args.map(arg => arg === undefined ? 'undefined' : arg),
+    stack: LOG_TYPES_WITH_STACKS.includes(log.type) ? log.stack : undefined
+  }
+}
+
+export async function createBugReport () {
+  const logs = await getAllLogs()
+  const report = {
+    format: FORMAT,
+    version: VERSION,
+    createdAt: new Date().toISOString(),
+    enafore: {
+      version: ENAFORE_VERSION,
+      env: ENAFORE_ENV
+    },
+    browser: {
+      userAgent: navigator.userAgent,
+      languages: navigator.languages
+    },
+    instances: getInstances(),
+    settings: createSettingsBackup(/* includeLogins */ false).settings,
+    // InspectedArgs are turned into their text by JSON.stringify, so do that before scrubbing
+    logs: JSON.parse(JSON.stringify(logs.map(formatLog), (key, value) => (
+      typeof value === 'bigint' ? `${value}n` : value
+    )))
+  }
+  return scrub(report, getSecretValues())
+}
+
+export async function exportBugReport () {
+  try {
+    const report = await createBugReport()
+    const blob = new Blob([JSON.stringify(report, null, 2)], { type: 'application/json' })
+    downloadFile(blob, getFileName())
+  } catch (e) {
+    console.error(e)
+    /* no await */ toast.say(formatIntl('intl.unableToExportBugReport', { error: (e.message || '') }))
+  }
+}
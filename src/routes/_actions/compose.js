@@ -9,35 +9,62 @@ import { scheduleIdleTask } from '../_utils/scheduleIdleTask.js'
 import { uniqById } from '../_utils/lodash-lite.js'
 import { formatIntl } from '../_utils/formatIntl.js'
 import { rehydrateStatusOrNotification } from './rehydrateStatusOrNotification.js'
+import { cancelScheduledStatus } from '../_api/scheduledStatuses.js'
+import { absoluteDateFormatter } from '../_utils/formatters.js'
+import { queueOutboxItem, getOutboxMedia } from './outbox.js'
+import { deleteDraft } from './drafts.js'
 
-export async function insertHandleForReply (realm, statusId) {
-  const { currentInstance } = store.get()
-  const status = await database.getStatus(currentInstance, statusId)
+// the handles to mention when replying to a status, e.g. "@foo @bar@example.com "
+export function getReplyHandles (status) {
   const { currentVerifyCredentials } = store.get()
   const originalStatus = status.reblog || status
-  let accounts = [originalStatus.account].concat(originalStatus.mentions || [])
+  const accounts = [originalStatus.account].concat(originalStatus.mentions || [])
     .filter(account => account.id !== currentVerifyCredentials.id)
   // Pleroma includes account in mentions as well, so make uniq
-  accounts = uniqById(accounts)
-  if (!store.getComposeData(realm, 'text') && accounts.length) {
-    store.setComposeData(realm, {
-      text: accounts.map(account => `@${account.acct} `).join('')
-    })
+  return uniqById(accounts).map(account => `@${account.acct} `).join('')
+}
+
+export async function insertHandleForReply (realm, statusId) {
+  const { currentInstance } = store.get()
+  const status = await database.getStatus(currentInstance, statusId)
+  const text = getReplyHandles(status)
+  if (!store.getComposeData(realm, 'text') && text) {
+    store.setComposeData(realm, { text })
   }
 }
 
 export async function postStatus (realm, text, inReplyToId, mediaIds,
   sensitive, spoilerText, visibility,
-  mediaDescriptions, inReplyToUuid, poll, mediaFocalPoints, contentType, quoteId, localOnly, editId) {
+  mediaDescriptions, inReplyToUuid, poll, mediaFocalPoints, contentType, quoteId, localOnly, editId,
+  scheduledAt, scheduledStatusId, language) {
   const { currentInstance, accessToken, online } = store.get()
 
+  text = text || ''
+
   if (!online) {
-    /* no await */ toast.say('intl.cannotPostOffline')
+    if (editId || scheduledStatusId) {
+      // edits can't be queued, because the original may have changed in the meantime
+      /* no await */ toast.say('intl.cannotPostOffline')
+      return
+    }
+    await queueOutboxItem('post', {
+      text,
+      inReplyToId,
+      media: await getOutboxMedia(mediaIds, mediaDescriptions, mediaFocalPoints),
+      sensitive,
+      spoilerText,
+      visibility,
+      poll,
+      contentType,
+      quoteId,
+      localOnly,
+      scheduledAt
+    })
+    store.clearComposeData(realm)
+    emit('postedStatus', realm, inReplyToUuid)
     return
   }
 
-  text = text || ''
-
   const mediaMetadata = (mediaIds || []).map((mediaId, idx) => {
     return {
       description: mediaDescriptions && mediaDescriptions[idx],
@@ -63,11 +90,35 @@ export async function postStatus (realm, text, inReplyToId, mediaIds,
       await rehydrateStatusOrNotification({ status })
       emit('statusUpdated', status)
       emit('postedStatus', realm, inReplyToUuid)
+    } else if (scheduledAt) {
+      await postStatusToServer(currentInstance, accessToken, text,
+        inReplyToId, mediaIds, sensitive, spoilerText, visibility, poll, contentType, quoteId, localOnly, scheduledAt, language)
+      if (scheduledStatusId) {
+        // Scheduled statuses can only be rescheduled, not edited, so editing one means replacing it.
+        // The new one is scheduled by now, so this mustn't fail the whole post, or a retry would
+        // schedule it again.
+        try {
+          await cancelScheduledStatus(currentInstance, accessToken, scheduledStatusId)
+        } catch (e) {
+          console.error(e)
+          /* no await */ toast.say(formatIntl('intl.unableToCancelReplacedScheduledStatus', { error: (e.message || '') }))
+        }
+      }
+      emit('postedStatus', realm, inReplyToUuid)
+      emit('scheduledStatusesChanged')
+      /* no await */ toast.say(formatIntl('intl.statusScheduled', {
+        date: absoluteDateFormatter().format(new Date(scheduledAt).getTime())
+      }))
     } else {
       const status = await postStatusToServer(currentInstance, accessToken, text,
-        inReplyToId, mediaIds, sensitive, spoilerText, visibility, poll, contentType, quoteId, localOnly)
+        inReplyToId, mediaIds, sensitive, spoilerText, visibility, poll, contentType, quoteId, localOnly,
+        undefined, language)
       addStatusOrNotification(currentInstance, 'home', status)
-      emit('postedStatus', realm, inReplyToUuid)
+      emit('postedStatus', realm, inReplyToUuid, status)
+    }
+    const draftId = store.getComposeData(realm, 'draftId')
+    if (draftId) {
+      /* no await */ deleteDraft(draftId) // the draft has been posted, so it's not needed anymore
     }
     store.clearComposeData(realm)
     scheduleIdleTask(() => (mediaIds || []).forEach(mediaId => database.deleteCachedMediaFile(mediaId))) // clean up media cache
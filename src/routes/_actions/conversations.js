@@ -0,0 +1,100 @@
+import { store } from '../_store/store.js'
+import {
+  getConversations,
+  markConversationAsRead as markConversationAsReadOnServer,
+  deleteConversation as deleteConversationOnServer
+} from '../_api/conversations.js'
+import { getStatusContext } from '../_api/statuses.js'
+import { database } from '../_database/database.js'
+import { rehydrateStatusOrNotification } from './rehydrateStatusOrNotification.js'
+import { toast } from '../_components/toast/toast.js'
+import { formatIntl } from '../_utils/formatIntl.js'
+import { uniqById } from '../_utils/lodash-lite.js'
+import li from 'li'
+
+// Direct messages grouped into conversations, for the /direct page. Only the pages of them that
+// have been loaded are kept, newest first, and they're kept up to date by the "conversation"
+// streaming event, see processMessage.js
+
+function getConversationsForInstance (instanceName) {
+  return store.get().instanceConversations[instanceName] || []
+}
+
+function setConversationsForInstance (instanceName, conversations) {
+  store.setInstanceData(instanceName, 'instanceConversations', conversations)
+}
+
+function modifyConversation (instanceName, conversationId, changes) {
+  setConversationsForInstance(instanceName, getConversationsForInstance(instanceName).map(conversation => (
+    conversation.id === conversationId ? { ...conversation, ...changes } : conversation
+  )))
+}
+
+function getNextPageId (headers) {
+  const parsedLinkHeader = li.parse(headers.get('Link'))
+  const nextUrl = parsedLinkHeader && parsedLinkHeader.next
+  return (nextUrl && (new URL(nextUrl)).searchParams.get('max_id')) || null
+}
+
+// Fetches the newest conversations, replacing the ones we had. Returns the ID to pass to
+// loadMoreConversations(), or null if there aren't any more.
+export async function updateConversationsForCurrentInstance () {
+  const { currentInstance, accessToken } = store.get()
+  const { json: conversations, headers } = await getConversations(currentInstance, accessToken)
+  setConversationsForInstance(currentInstance, conversations)
+  return getNextPageId(headers)
+}
+
+export async function loadMoreConversations (maxId) {
+  const { currentInstance, accessToken } = store.get()
+  const { json: conversations, headers } = await getConversations(currentInstance, accessToken, maxId)
+  setConversationsForInstance(currentInstance, uniqById([...getConversationsForInstance(currentInstance), ...conversations]))
+  return getNextPageId(headers)
+}
+
+// from the "conversation" streaming event, when there's a new message, so it goes to the top
+export function addOrUpdateConversation (instanceName, conversation) {
+  setConversationsForInstance(instanceName, [
+    conversation,
+    ...getConversationsForInstance(instanceName).filter(({ id }) => id !== conversation.id)
+  ])
+}
+
+// Everything in the thread that the conversation's latest message is in, oldest first. They're
+// stored in the database like any other statuses, so that replying to them works.
+export async function fetchConversationStatuses (conversation) {
+  const { currentInstance, accessToken } = store.get()
+  const lastStatus = conversation.last_status
+  const context = await getStatusContext(currentInstance, accessToken, lastStatus.id)
+  const statuses = [...context.ancestors, lastStatus, ...context.descendants]
+  await Promise.all(statuses.map(async status => {
+    await database.insertStatus(currentInstance, status)
+    await rehydrateStatusOrNotification({ status })
+  }))
+  return statuses
+}
+
+export async function markConversationAsRead (conversationId) {
+  const { currentInstance, accessToken } = store.get()
+  modifyConversation(currentInstance, conversationId, { unread: false })
+  try {
+    await markConversationAsReadOnServer(currentInstance, accessToken, conversationId)
+  } catch (e) {
+    console.error(e)
+    modifyConversation(currentInstance, conversationId, { unread: true })
+    /* no await */ toast.say(formatIntl('intl.unableToMarkConversationAsRead', { error: (e.message || '') }))
+  }
+}
+
+export async function deleteConversation (conversationId) {
+  const { currentInstance, accessToken } = store.get()
+  const conversations = getConversationsForInstance(currentInstance)
+  setConversationsForInstance(currentInstance, conversations.filter(({ id }) => id !== conversationId))
+  try {
+    await deleteConversationOnServer(currentInstance, accessToken, conversationId)
+  } catch (e) {
+    console.error(e)
+    setConversationsForInstance(currentInstance, conversations)
+    /* no await */ toast.say(formatIntl('intl.unableToDeleteConversation', { error: (e.message || '') }))
+  }
+}
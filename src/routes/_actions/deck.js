@@ -0,0 +1,66 @@
+import { store } from '../_store/store.js'
+import { search } from '../_api/search.js'
+import { toast } from '../_components/toast/toast.js'
+import { database } from '../_database/database.js'
+import { formatIntl } from '../_utils/formatIntl.js'
+import { deleteOwnVirtualListStore } from '../_components/virtualList/virtualListStore.js'
+
+// Deck columns are stored per-instance as an array of { timeline }, where `timeline` is a
+// regular timeline name (e.g. 'home', 'tag/cats', 'list/1', 'account/2'). A timeline can only
+// appear once in the deck. The column's label is worked out when it's shown, so that it follows
+// the interface language and e.g. renamed lists.
+
+function setDeckColumns (instanceName, columns) {
+  const { deckColumns } = store.get()
+  deckColumns[instanceName] = columns
+  store.set({ deckColumns })
+}
+
+function getDeckColumns (instanceName) {
+  const { deckColumns } = store.get()
+  return deckColumns[instanceName] || []
+}
+
+export function addDeckColumn (instanceName, timeline) {
+  const columns = getDeckColumns(instanceName)
+  if (columns.some(column => column.timeline === timeline)) {
+    /* no await */ toast.say('intl.deckColumnAlreadyExists')
+    return
+  }
+  setDeckColumns(instanceName, [...columns, { timeline }])
+}
+
+export async function addAccountDeckColumn (instanceName, handle) {
+  const { loggedInInstances } = store.get()
+  const accessToken = loggedInInstances[instanceName].access_token
+  try {
+    const results = await search(instanceName, accessToken, handle.replace(/^@/, ''), true, 1)
+    const account = results.accounts && results.accounts[0]
+    if (!account) {
+      /* no await */ toast.say('intl.deckAccountNotFound')
+      return
+    }
+    /* no await */ database.setAccount(instanceName, account) // for the column's label
+    addDeckColumn(instanceName, `account/${account.id}`)
+  } catch (e) {
+    console.error(e)
+    /* no await */ toast.say(formatIntl('intl.unableToAddDeckColumn', { error: (e.message || '') }))
+  }
+}
+
+export function removeDeckColumn (instanceName, timeline) {
+  deleteOwnVirtualListStore(`${instanceName}/${timeline}`)
+  setDeckColumns(instanceName, getDeckColumns(instanceName).filter(column => column.timeline !== timeline))
+}
+
+export function moveDeckColumn (instanceName, timeline, delta) {
+  const columns = getDeckColumns(instanceName).slice()
+  const index = columns.findIndex(column => column.timeline === timeline)
+  const newIndex = index + delta
+  if (index === -1 || newIndex < 0 || newIndex >= columns.length) {
+    return
+  }
+  const [column] = columns.splice(index, 1)
+  columns.splice(newIndex, 0, column)
+  setDeckColumns(instanceName, columns)
+}
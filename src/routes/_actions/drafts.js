@@ -0,0 +1,148 @@
+import { store } from '../_store/store.js'
+import { toast } from '../_components/toast/toast.js'
+import { database } from '../_database/database.js'
+import { importShowComposeDialog } from '../_components/dialog/asyncDialogs/importShowComposeDialog.js'
+import { getMedia, uploadMedia } from '../_api/media.js'
+import { updateMediaWhenProcessed } from './media.js'
+import { formatIntl } from '../_utils/formatIntl.js'
+
+// Drafts are stored as { id, name, createdAt, updatedAt, composeData }, where composeData
+// is a snapshot of a compose realm. Other tabs are told about changes via a BroadcastChannel.
+
+const CHANNEL_NAME = 'enafore-drafts'
+
+// these only make sense for the compose box they were created in
+const TRANSIENT_COMPOSE_KEYS = ['ts', 'editId', 'scheduledStatusId', 'draftId']
+
+let channel
+
+function getChannel () {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME)
+  }
+  return channel
+}
+
+function notifyOtherTabs (instanceName) {
+  const channel = getChannel()
+  if (channel) {
+    channel.postMessage({ instanceName })
+  }
+}
+
+export function onDraftsChangedInOtherTab (listener) {
+  const channel = getChannel()
+  if (channel) {
+    channel.addEventListener('message', event => listener(event.data.instanceName))
+  }
+}
+
+export async function updateDraftsForInstance (instanceName) {
+  const drafts = await database.getDrafts(instanceName)
+  const { instanceDrafts } = store.get()
+  instanceDrafts[instanceName] = drafts
+  store.set({ instanceDrafts })
+}
+
+export function getDefaultDraftName (realm) {
+  const text = (store.getComposeData(realm, 'text') || '').trim()
+  return text.length > 30 ? text.substring(0, 30) + '…' : text
+}
+
+export async function saveDraft (realm, name) {
+  const { currentInstance, currentComposeData, currentDrafts } = store.get()
+  const realmData = currentComposeData[realm] || {}
+  const composeData = {}
+  for (const key of Object.keys(realmData)) {
+    if (!TRANSIENT_COMPOSE_KEYS.includes(key)) {
+      composeData[key] = realmData[key]
+    }
+  }
+  if (realm !== 'home' && realm !== 'dialog' && !composeData.inReplyToId) {
+    composeData.inReplyToId = realm // the realm of a reply is the id of the status it replies to
+  }
+  const existingId = realmData.draftId
+  const existing = existingId && currentDrafts.find(draft => draft.id === existingId)
+  const now = Date.now()
+  const draft = {
+    id: existingId || `${now}-${Math.random().toString(36).substring(2)}`,
+    name,
+    createdAt: existing ? existing.createdAt : now,
+    updatedAt: now,
+    composeData
+  }
+  try {
+    await database.setDraft(currentInstance, draft)
+    store.setComposeData(realm, { draftId: draft.id })
+    await updateDraftsForInstance(currentInstance)
+    notifyOtherTabs(currentInstance)
+    /* no await */ toast.say('intl.draftSaved')
+  } catch (e) {
+    console.error(e)
+    /* no await */ toast.say('intl.unableToSaveDraft')
+  }
+}
+
+export async function deleteDraft (draftId) {
+  const { currentInstance } = store.get()
+  await database.deleteDraft(currentInstance, draftId)
+  await updateDraftsForInstance(currentInstance)
+  notifyOtherTabs(currentInstance)
+}
+
+// The server deletes media that was uploaded but never attached to a post, e.g. after a day on
+// Mastodon. Upload it again if we still have the file, or else leave it out of the draft.
+async function refreshDraftMedia (media) {
+  const { currentInstance, accessToken } = store.get()
+  let expired = 0
+  const refreshedMedia = await Promise.all(media.map(async mediaItem => {
+    try {
+      await getMedia(currentInstance, accessToken, mediaItem.data.id)
+      return mediaItem
+    } catch (e) {
+      if (e.status !== 404) {
+        return mediaItem // e.g. offline, so it may well still be there
+      }
+    }
+    const file = await database.getCachedMediaFile(mediaItem.data.id)
+    if (file) {
+      try {
+        const data = await uploadMedia(currentInstance, accessToken, file)
+        await database.setCachedMediaFile(data.id, file)
+        return { ...mediaItem, data }
+      } catch (e) {
+        console.error(e)
+      }
+    }
+    expired++
+    return null
+  }))
+  if (expired) {
+    /* no await */ toast.say(formatIntl('intl.draftMediaExpired', { count: expired }))
+  }
+  return refreshedMedia.filter(Boolean)
+}
+
+export async function openDraft (draft) {
+  const { currentInstance } = store.get()
+  const showComposeDialog = await importShowComposeDialog()
+  let { composeData } = draft
+  if (composeData.media && composeData.media.length) {
+    const media = await refreshDraftMedia(composeData.media)
+    if (media.some((mediaItem, i) => mediaItem !== composeData.media[i]) || media.length !== composeData.media.length) {
+      composeData = { ...composeData, media }
+      // so that it doesn't have to be done again next time
+      await database.setDraft(currentInstance, { ...draft, composeData })
+      await updateDraftsForInstance(currentInstance)
+      notifyOtherTabs(currentInstance)
+    }
+  }
+  store.clearComposeData('dialog')
+  store.setComposeData('dialog', { ...composeData, draftId: draft.id })
+  showComposeDialog()
+  for (const mediaItem of (composeData.media || [])) {
+    if (!mediaItem.data.url) {
+      /* no await */ updateMediaWhenProcessed('dialog', mediaItem.data.id)
+    }
+  }
+}
@@ -0,0 +1,65 @@
+import { store } from '../_store/store.js'
+import { getTimeline } from '../_api/timelines.js'
+import { getTrendingLinks, getTrendingTags } from '../_api/trends.js'
+import { deleteSuggestion, getSuggestions } from '../_api/suggestions.js'
+import { setAccountFollowed } from './follow.js'
+import { emit } from '../_utils/eventBus.ts'
+import { toast } from '../_components/toast/toast.js'
+import { formatIntl } from '../_utils/formatIntl.js'
+
+// The tabs of the explore page, in order. Servers can turn each of these off, or not have them
+// at all, in which case the tab is hidden.
+export const EXPLORE_TABS = ['statuses', 'tags', 'links', 'suggestions']
+
+const PROBES = {
+  statuses: async (instanceName, accessToken) => (await getTimeline(instanceName, accessToken, 'trending', null, null, 1)).items,
+  tags: (instanceName, accessToken) => getTrendingTags(instanceName, accessToken, 1),
+  links: (instanceName, accessToken) => getTrendingLinks(instanceName, accessToken, 1),
+  suggestions: (instanceName, accessToken) => getSuggestions(instanceName, accessToken, 1)
+}
+
+// Mastodon answers the trends endpoints with an empty list when trends are turned off, so for those,
+// nothing at all means the tab is hidden too. There's always something trending otherwise.
+const TRENDS_TABS = ['statuses', 'tags', 'links']
+
+// e.g. 404 if the server doesn't implement it, or 403 if it's only shown to staff. Anything else,
+// like being offline, doesn't tell us whether it's there.
+function isDisabledError (e) {
+  return [403, 404, 410, 501].includes(e.status)
+}
+
+// Works out which tabs the current instance has, once per session
+export async function updateExploreTabsForCurrentInstance () {
+  const { currentInstance, accessToken, instanceExploreTabs } = store.get()
+  if (instanceExploreTabs[currentInstance]) {
+    return
+  }
+  const results = await Promise.all(EXPLORE_TABS.map(async tab => {
+    try {
+      const items = await PROBES[tab](currentInstance, accessToken)
+      return !TRENDS_TABS.includes(tab) || items.length > 0
+    } catch (e) {
+      console.warn(`unable to fetch explore tab ${tab}`, e)
+      return !isDisabledError(e)
+    }
+  }))
+  store.setInstanceData(currentInstance, 'instanceExploreTabs', EXPLORE_TABS.filter((tab, i) => results[i]))
+}
+
+export async function followSuggestion (accountId) {
+  await setAccountFollowed(accountId, /* follow */ true, /* toastOnSuccess */ true)
+  // the server stops suggesting accounts once they're followed
+  emit('refreshAccountsList')
+}
+
+export async function dismissSuggestion (accountId) {
+  const { currentInstance, accessToken } = store.get()
+  try {
+    await deleteSuggestion(currentInstance, accessToken, accountId)
+    /* no await */ toast.say('intl.dismissedSuggestion')
+    emit('refreshAccountsList')
+  } catch (e) {
+    console.error(e)
+    /* no await */ toast.say(formatIntl('intl.unableToDismissSuggestion', { error: (e.message || '') }))
+  }
+}
@@ -3,14 +3,15 @@ import { store } from '../_store/store.js'
 import { toast } from '../_components/toast/toast.js'
 import { database } from '../_database/database.js'
 import { formatIntl } from '../_utils/formatIntl.js'
+import { queueOutboxItem } from './outbox.js'
 
 export async function setFavorited (statusId, favorited) {
-  const { online } = store.get()
+  const { online, currentInstance, accessToken } = store.get()
   if (!online) {
-    /* no await */ toast.say(favorited ? 'intl.cannotFavoriteOffline' : 'intl.cannotUnfavoriteOffline')
+    store.setStatusFavorited(currentInstance, statusId, favorited)
+    await queueOutboxItem('favorite', { statusId, favorited })
     return
   }
-  const { currentInstance, accessToken } = store.get()
   const networkPromise = favorited
     ? favoriteStatus(currentInstance, accessToken, statusId)
     : unfavoriteStatus(currentInstance, accessToken, statusId)
@@ -1,19 +1,77 @@
 import { store } from '../_store/store.js'
-import { createFilter, getFilters, updateFilter, deleteFilter as doDeleteFilter } from '../_api/filters.js'
+import {
+  createFilter,
+  getFilters,
+  updateFilter,
+  deleteFilter as doDeleteFilter,
+  getFiltersV2,
+  createFilterV2,
+  updateFilterV2,
+  deleteFilterV2,
+  addStatusToFilter as doAddStatusToFilter,
+  removeStatusFromFilter
+} from '../_api/filters.js'
 import { cacheFirstUpdateAfter, cacheFirstUpdateOnlyIfNotInCache } from '../_utils/sync.js'
 import { database } from '../_database/database.js'
 import { isEqual } from '../_utils/lodash-lite.js'
 import { toast } from '../_components/toast/toast.js'
 import { formatIntl } from '../_utils/formatIntl.js'
 import { emit } from '../_utils/eventBus.ts'
+import { getInstanceCapabilities, DEFAULT_CAPABILITIES } from '../_utils/instanceCapabilities.ts'
+
+// Filters are stored in the shape of v2 filters, i.e. { id, title, context, expires_at, filter_action,
+// keywords, statuses }, plus a `version` saying which API they came from. A v1 filter becomes a filter
+// with a single keyword that hides matching posts, which is how v1 filters have always behaved here.
+function normalizeFilter (filter) {
+  if (Array.isArray(filter.keywords)) {
+    return {
+      ...filter,
+      statuses: filter.statuses || [],
+      version: 2
+    }
+  }
+  return {
+    id: filter.id,
+    title: filter.phrase,
+    context: filter.context,
+    expires_at: filter.expires_at,
+    filter_action: 'hide',
+    irreversible: !!filter.irreversible,
+    keywords: [{ id: filter.id, keyword: filter.phrase, whole_word: !!filter.whole_word }],
+    statuses: [],
+    version: 1
+  }
+}
+
+function supportsFiltersV2 (instanceName) {
+  const { instanceInfos } = store.get()
+  return (getInstanceCapabilities(instanceInfos[instanceName]) || DEFAULT_CAPABILITIES).filtersV2
+}
+
+async function fetchFilters (instanceName, accessToken) {
+  if (supportsFiltersV2(instanceName)) {
+    try {
+      return await getFiltersV2(instanceName, accessToken)
+    } catch (e) {
+      if (e.status !== 404) {
+        throw e
+      }
+    }
+  }
+  return getFilters(instanceName, accessToken)
+}
 
 async function syncFilters (instanceName, syncMethod) {
   const { loggedInInstances } = store.get()
   const accessToken = loggedInInstances[instanceName].access_token
 
   await syncMethod(
-    () => getFilters(instanceName, accessToken),
-    () => database.getFilters(instanceName),
+    async () => (await fetchFilters(instanceName, accessToken)).map(normalizeFilter),
+    async () => {
+      const filters = await database.getFilters(instanceName)
+      // filters cached before v2 support are raw v1 filters
+      return filters && filters.map(normalizeFilter)
+    },
     filters => database.setFilters(instanceName, filters),
     filters => {
       const { instanceFilters } = store.get()
@@ -33,31 +91,111 @@ export async function setupFiltersForInstance (instanceName) {
   await syncFilters(instanceName, cacheFirstUpdateOnlyIfNotInCache)
 }
 
+// Whether new filters for this instance should be v2 filters
+export function canCreateFiltersV2 (instanceName) {
+  const { instanceFilters } = store.get()
+  const filters = instanceFilters[instanceName] || []
+  // if we've had to fall back to v1 filters, then the instance doesn't really support v2
+  return supportsFiltersV2(instanceName) && filters.every(filter => filter.version === 2)
+}
+
+async function saveFilterV1 (instanceName, accessToken, filter) {
+  const [keyword] = filter.keywords
+  const body = {
+    id: filter.id,
+    phrase: keyword.keyword,
+    whole_word: keyword.whole_word,
+    context: filter.context,
+    irreversible: filter.irreversible,
+    expires_in: filter.expires_in
+  }
+  if (filter.id) {
+    await updateFilter(instanceName, accessToken, body)
+  } else {
+    await createFilter(instanceName, accessToken, body)
+  }
+}
+
+// Keywords are updated along with the filter, but statuses have their own endpoints, so diff the
+// filter against the one we have in the store to find out which statuses were added or removed.
+async function saveFilterV2 (instanceName, accessToken, filter) {
+  const { instanceFilters } = store.get()
+  const existingFilter = filter.id && (instanceFilters[instanceName] || []).find(_ => _.id === filter.id)
+  const keywordIds = new Set(filter.keywords.map(_ => _.id))
+  const statusIds = new Set(filter.statuses.map(_ => _.id))
+  const removedKeywords = existingFilter ? existingFilter.keywords.filter(_ => !keywordIds.has(_.id)) : []
+  const removedStatuses = existingFilter ? existingFilter.statuses.filter(_ => !statusIds.has(_.id)) : []
+  const body = {
+    title: filter.title,
+    context: filter.context,
+    filter_action: filter.filter_action,
+    expires_in: filter.expires_in,
+    keywords_attributes: [
+      ...filter.keywords.map(({ id, keyword, whole_word: wholeWord }) => ({ id, keyword, whole_word: wholeWord })),
+      ...removedKeywords.map(({ id }) => ({ id, _destroy: true }))
+    ]
+  }
+  const savedFilter = filter.id
+    ? await updateFilterV2(instanceName, accessToken, filter.id, body)
+    : await createFilterV2(instanceName, accessToken, body)
+  await Promise.all([
+    ...filter.statuses.filter(_ => !_.id).map(status => (
+      doAddStatusToFilter(instanceName, accessToken, savedFilter.id, status.status_id)
+    )),
+    ...removedStatuses.map(status => removeStatusFromFilter(instanceName, accessToken, status.id))
+  ])
+}
+
+// filter is a filter in the shape described above, with expires_in instead of expires_at
 export async function createOrUpdateFilter (instanceName, filter) {
   const { loggedInInstances } = store.get()
   const accessToken = loggedInInstances[instanceName].access_token
   try {
-    if (filter.id) {
-      await updateFilter(instanceName, accessToken, filter)
-      /* no await */ toast.say('intl.updatedFilter')
+    if (filter.version === 1) {
+      await saveFilterV1(instanceName, accessToken, filter)
     } else {
-      await createFilter(instanceName, accessToken, filter)
-      /* no await */ toast.say('intl.createdFilter')
+      await saveFilterV2(instanceName, accessToken, filter)
     }
+    /* no await */ toast.say(filter.id ? 'intl.updatedFilter' : 'intl.createdFilter')
     emit('wordFiltersChanged', instanceName)
   } catch (err) {
     /* no await */ toast.say(formatIntl('intl.failedToModifyFilter', { error: err.message || '' }))
   }
 }
 
-export async function deleteFilter (instanceName, id) {
+export async function deleteFilter (instanceName, filter) {
   const { loggedInInstances } = store.get()
   const accessToken = loggedInInstances[instanceName].access_token
   try {
-    await doDeleteFilter(instanceName, accessToken, id)
+    if (filter.version === 1) {
+      await doDeleteFilter(instanceName, accessToken, filter.id)
+    } else {
+      await deleteFilterV2(instanceName, accessToken, filter.id)
+    }
     /* no await */ toast.say('intl.deletedFilter')
     emit('wordFiltersChanged', instanceName)
   } catch (err) {
     /* no await */ toast.say(formatIntl('intl.failedToModifyFilter', { error: err.message || '' }))
   }
 }
+
+// Returns whether it worked
+export async function setStatusInFilter (instanceName, filter, statusId, inFilter) {
+  const { loggedInInstances } = store.get()
+  const accessToken = loggedInInstances[instanceName].access_token
+  try {
+    if (inFilter) {
+      await doAddStatusToFilter(instanceName, accessToken, filter.id, statusId)
+      /* no await */ toast.say(formatIntl('intl.addedStatusToFilter', { filter: filter.title }))
+    } else {
+      const filterStatus = filter.statuses.find(_ => _.status_id === statusId)
+      await removeStatusFromFilter(instanceName, accessToken, filterStatus.id)
+      /* no await */ toast.say(formatIntl('intl.removedStatusFromFilter', { filter: filter.title }))
+    }
+    emit('wordFiltersChanged', instanceName)
+    return true
+  } catch (err) {
+    /* no await */ toast.say(formatIntl('intl.failedToModifyFilter', { error: err.message || '' }))
+    return false
+  }
+}
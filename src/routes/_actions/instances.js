@@ -8,6 +8,8 @@ import { getInstanceInfo } from '../_api/instance.js'
 import { database } from '../_database/database.js'
 import { importVirtualListStore } from '../_utils/asyncModules/importVirtualListStore.js'
 import { formatIntl } from '../_utils/formatIntl.js'
+import { removePushSubscriptionForInstance } from './pushSubscription.js'
+import { revokeToken } from '../_api/oauth.js'
 
 export function changeTheme (instanceName, newTheme) {
   const { instanceThemes } = store.get()
@@ -33,6 +35,23 @@ export function switchToInstance (instanceName) {
   switchToTheme(instanceThemes[instanceName], enableGrayscale)
 }
 
+// Logging out shouldn't leave a usable token on the server, so the push subscription (which needs
+// the token) is removed first, then the token is revoked.
+async function revokeLogin (instanceName, loginData) {
+  await removePushSubscriptionForInstance(instanceName, loginData.access_token)
+  if (!loginData.client_id || !loginData.client_secret) {
+    // logged in before we kept the app's credentials, so the instance won't let us revoke it
+    console.warn('cannot revoke token for', instanceName)
+    return
+  }
+  try {
+    await revokeToken(instanceName, loginData.client_id, loginData.client_secret, loginData.access_token)
+  } catch (e) {
+    console.error(e)
+    /* no await */ toast.say(formatIntl('intl.unableToRevokeToken', { instance: instanceName, error: (e.message || '') }))
+  }
+}
+
 export async function logOutOfInstance (instanceName, message) {
   message = message || formatIntl('intl.loggedOutOfInstance', { instance: instanceName })
   const {
@@ -47,11 +66,15 @@ export async function logOutOfInstance (instanceName, message) {
     loggedInInstancesInOrder,
     verifyCredentials,
     pinnedPages,
+    savedSearches,
+    searchHistory,
+    deckColumns,
     statusModifications,
     pushSubscriptions,
     instanceDataReady,
     lastContentTypes
   } = store.get()
+  /* no await */ revokeLogin(instanceName, loggedInInstances[instanceName])
   loggedInInstancesInOrder.splice(loggedInInstancesInOrder.indexOf(instanceName), 1)
   const newInstance = instanceName === currentInstance ? loggedInInstancesInOrder[0] : currentInstance
   const objectsToClear = [
@@ -64,6 +87,9 @@ export async function logOutOfInstance (instanceName, message) {
     loggedInInstances,
     verifyCredentials,
     pinnedPages,
+    savedSearches,
+    searchHistory,
+    deckColumns,
     statusModifications,
     pushSubscriptions,
     instanceDataReady,
@@ -81,6 +107,9 @@ export async function logOutOfInstance (instanceName, message) {
     instanceFilters,
     instanceThemes,
     pinnedPages,
+    savedSearches,
+    searchHistory,
+    deckColumns,
     loggedInInstances,
     loggedInInstancesInOrder,
     queryInSearch: '',
@@ -96,8 +125,9 @@ export async function logOutOfInstance (instanceName, message) {
   store.clearTimelineDataForInstance(instanceName)
   store.clearAutosuggestDataForInstance(instanceName)
   store.save()
-  const { virtualListStore } = await importVirtualListStore()
+  const { virtualListStore, deleteOwnVirtualListStores } = await importVirtualListStore()
   virtualListStore.clearRealmByPrefix(currentInstance + '/') // TODO: this is a hacky way to clear the vlist cache
+  deleteOwnVirtualListStores(instanceName + '/')
   toast.say(message)
   const { enableGrayscale } = store.get()
   switchToTheme(instanceThemes[newInstance], enableGrayscale)
@@ -111,6 +141,12 @@ function setStoreVerifyCredentials (instanceName, thisVerifyCredentials) {
   store.set({ verifyCredentials })
 }
 
+// e.g. after editing the profile, when the server has given us the new verifyCredentials
+export async function setVerifyCredentialsForInstance (instanceName, verifyCredentials) {
+  setStoreVerifyCredentials(instanceName, verifyCredentials)
+  await database.setInstanceVerifyCredentials(instanceName, verifyCredentials)
+}
+
 export async function updateVerifyCredentialsForInstance (instanceName) {
   const { loggedInInstances } = store.get()
   const accessToken = loggedInInstances[instanceName].access_token
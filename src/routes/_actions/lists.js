@@ -1,7 +1,23 @@
 import { store } from '../_store/store.js'
-import { getLists } from '../_api/lists.js'
+import {
+  getLists,
+  createList as createListOnServer,
+  updateList as updateListOnServer,
+  deleteList as deleteListOnServer,
+  addAccountsToList,
+  removeAccountsFromList
+} from '../_api/lists.js'
 import { cacheFirstUpdateAfter, cacheFirstUpdateOnlyIfNotInCache } from '../_utils/sync.js'
 import { database } from '../_database/database.js'
+import { toast } from '../_components/toast/toast.js'
+import { formatIntl } from '../_utils/formatIntl.js'
+import { removeDeckColumn } from './deck.js'
+
+function setListsForInstance (instanceName, lists) {
+  const { instanceLists } = store.get()
+  instanceLists[instanceName] = lists
+  store.set({ instanceLists })
+}
 
 async function syncLists (instanceName, syncMethod) {
   const { loggedInInstances } = store.get()
@@ -11,11 +27,7 @@ async function syncLists (instanceName, syncMethod) {
     () => getLists(instanceName, accessToken),
     () => database.getLists(instanceName),
     lists => database.setLists(instanceName, lists),
-    lists => {
-      const { instanceLists } = store.get()
-      instanceLists[instanceName] = lists
-      store.set({ instanceLists })
-    }
+    lists => setListsForInstance(instanceName, lists)
   )
 }
 
@@ -26,3 +38,81 @@ export async function updateListsForInstance (instanceName) {
 export async function setupListsForInstance (instanceName) {
   await syncLists(instanceName, cacheFirstUpdateOnlyIfNotInCache)
 }
+
+// Apply a change we just made on the server to the lists in the store and the database,
+// rather than fetching all of them again
+function updateLocalLists (instanceName, updater) {
+  const { instanceLists } = store.get()
+  const lists = updater(instanceLists[instanceName] || [])
+  setListsForInstance(instanceName, lists)
+  /* no await */ database.setLists(instanceName, lists)
+}
+
+export async function createList (instanceName, list) {
+  const { loggedInInstances } = store.get()
+  const accessToken = loggedInInstances[instanceName].access_token
+  try {
+    const newList = await createListOnServer(instanceName, accessToken, list)
+    updateLocalLists(instanceName, lists => [...lists, newList])
+    /* no await */ toast.say('intl.createdList')
+    return newList
+  } catch (e) {
+    console.error(e)
+    /* no await */ toast.say(formatIntl('intl.unableToModifyList', { error: (e.message || '') }))
+  }
+}
+
+export async function updateList (instanceName, listId, list) {
+  const { loggedInInstances } = store.get()
+  const accessToken = loggedInInstances[instanceName].access_token
+  try {
+    const updatedList = await updateListOnServer(instanceName, accessToken, listId, list)
+    updateLocalLists(instanceName, lists => lists.map(_ => _.id === listId ? updatedList : _))
+    /* no await */ toast.say('intl.updatedList')
+    return updatedList
+  } catch (e) {
+    console.error(e)
+    /* no await */ toast.say(formatIntl('intl.unableToModifyList', { error: (e.message || '') }))
+  }
+}
+
+export async function deleteList (instanceName, listId) {
+  const { loggedInInstances } = store.get()
+  const accessToken = loggedInInstances[instanceName].access_token
+  try {
+    await deleteListOnServer(instanceName, accessToken, listId)
+    updateLocalLists(instanceName, lists => lists.filter(_ => _.id !== listId))
+    const { pinnedPages } = store.get()
+    if (pinnedPages[instanceName] === `/lists/${listId}`) {
+      delete pinnedPages[instanceName] // back to the default
+      store.set({ pinnedPages })
+    }
+    removeDeckColumn(instanceName, `list/${listId}`)
+    store.save()
+    /* no await */ toast.say('intl.deletedList')
+    return true
+  } catch (e) {
+    console.error(e)
+    /* no await */ toast.say(formatIntl('intl.unableToModifyList', { error: (e.message || '') }))
+    return false
+  }
+}
+
+export async function setAccountInList (listId, accountId, inList) {
+  const { currentInstance, accessToken } = store.get()
+  try {
+    if (inList) {
+      await addAccountsToList(currentInstance, accessToken, listId, [accountId])
+    } else {
+      await removeAccountsFromList(currentInstance, accessToken, listId, [accountId])
+    }
+    return true
+  } catch (e) {
+    console.error(e)
+    /* no await */ toast.say(inList
+      ? formatIntl('intl.unableToAddToList', { error: (e.message || '') })
+      : formatIntl('intl.unableToRemoveFromList', { error: (e.message || '') })
+    )
+    return false
+  }
+}
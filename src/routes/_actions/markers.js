@@ -0,0 +1,89 @@
+import { store } from '../_store/store.js'
+import { getMarkers, saveMarkers } from '../_api/markers.js'
+import { isNewerId } from '../_utils/statusIdSorting.js'
+import { isReadOnlyLogin } from '../_utils/oauthScopes.js'
+
+// Where the user stopped reading home and notifications, synced with the server's markers so
+// that it's shared with other apps. For each of those timelines, there's a "markerLastReadId",
+// which is the newest item that's been read, and an "unreadDividerId", which is what that was
+// when we first got it from the server, i.e. where the user was at the end of their last visit.
+
+export const MARKER_TIMELINES = ['home', 'notifications']
+
+// how long to wait after the last scroll before saving
+const SAVE_DELAY = 5000
+
+// instance name -> timeline name -> the last read id that hasn't been saved yet
+const unsavedReadIds = new Map()
+let saveTimeout
+
+function setLastReadId (instanceName, timelineName, lastReadId) {
+  const currentLastReadId = store.getForTimeline(instanceName, timelineName, 'markerLastReadId')
+  if (isNewerId(lastReadId, currentLastReadId)) {
+    store.setForTimeline(instanceName, timelineName, { markerLastReadId: lastReadId })
+  }
+}
+
+export async function updateMarkersForInstance (instanceName) {
+  const { loggedInInstances } = store.get()
+  const accessToken = loggedInInstances[instanceName].access_token
+  let markers
+  try {
+    markers = await getMarkers(instanceName, accessToken, MARKER_TIMELINES)
+  } catch (e) {
+    console.error('unable to fetch markers', e) // not supported by every server, so don't bother the user
+    return
+  }
+  for (const timelineName of MARKER_TIMELINES) {
+    const lastReadId = markers && markers[timelineName] && markers[timelineName].last_read_id
+    if (!lastReadId) {
+      continue
+    }
+    if (!store.getForTimeline(instanceName, timelineName, 'unreadDividerId')) {
+      store.setForTimeline(instanceName, timelineName, { unreadDividerId: lastReadId })
+    }
+    setLastReadId(instanceName, timelineName, lastReadId)
+  }
+}
+
+// Called as the user scrolls, with the newest item they can see. Saving is debounced, and only
+// ever moves the marker forward.
+export function saveReadPosition (instanceName, timelineName, itemId) {
+  const { loggedInInstances } = store.get()
+  if (!MARKER_TIMELINES.includes(timelineName) || !itemId || isReadOnlyLogin(loggedInInstances[instanceName])) {
+    return
+  }
+  const lastReadId = store.getForTimeline(instanceName, timelineName, 'markerLastReadId')
+  if (!isNewerId(itemId, lastReadId)) {
+    return
+  }
+  setLastReadId(instanceName, timelineName, itemId)
+  if (!unsavedReadIds.has(instanceName)) {
+    unsavedReadIds.set(instanceName, {})
+  }
+  unsavedReadIds.get(instanceName)[timelineName] = itemId
+  clearTimeout(saveTimeout)
+  saveTimeout = setTimeout(flushReadPositions, SAVE_DELAY)
+}
+
+// save right away, e.g. because the page is being hidden and may never come back
+export async function flushReadPositions () {
+  clearTimeout(saveTimeout)
+  const entries = [...unsavedReadIds.entries()]
+  unsavedReadIds.clear()
+  const { loggedInInstances } = store.get()
+  await Promise.all(entries.map(async ([instanceName, readIds]) => {
+    if (!loggedInInstances[instanceName]) {
+      return // logged out in the meantime
+    }
+    const markers = {}
+    for (const [timelineName, lastReadId] of Object.entries(readIds)) {
+      markers[timelineName] = { last_read_id: lastReadId }
+    }
+    try {
+      await saveMarkers(instanceName, loggedInInstances[instanceName].access_token, markers)
+    } catch (e) {
+      console.error('unable to save markers', e)
+    }
+  }))
+}
@@ -1,24 +1,155 @@
 import { store } from '../_store/store.js'
-import { uploadMedia } from '../_api/media.js'
+import { getMedia, uploadMedia } from '../_api/media.js'
 import { toast } from '../_components/toast/toast.js'
 import { scheduleIdleTask } from '../_utils/scheduleIdleTask.js'
 import { formatIntl } from '../_utils/formatIntl.js'
 import { database } from '../_database/database.js'
+import { processImage } from '../_utils/processImage.js'
 
-export async function doMediaUpload (realm, file) {
+// AbortControllers for the uploads in progress, keyed by upload id
+const uploadControllers = new Map()
+
+const mediaBeingProcessed = new Set()
+
+const PROCESSING_POLL_INTERVAL = 2000
+const PROCESSING_TIMEOUT = 5 * 60 * 1000
+
+function createAbortError () {
+  const err = new Error('The upload was canceled')
+  err.name = 'AbortError'
+  return err
+}
+
+// Uploads in progress are { id, name, loaded, total } in store.mediaUploads[instanceName][realm],
+// so the compose box can show them before the server has responded
+function updateMediaUploads (instanceName, realm, func) {
+  const uploads = store.getInstanceData(instanceName, 'mediaUploads') || {}
+  uploads[realm] = func(uploads[realm] || [])
+  store.setInstanceData(instanceName, 'mediaUploads', uploads)
+}
+
+// Runs upload(signal, onProgress) while showing it as an upload in progress, which can be canceled
+async function trackUpload (instanceName, realm, name, upload) {
+  const id = `${Date.now()}-${Math.random().toString(36).substring(2)}`
+  const controller = new AbortController()
+  uploadControllers.set(id, controller)
+  updateMediaUploads(instanceName, realm, uploads => uploads.concat([{ id, name, loaded: 0, total: 0 }]))
+  const onProgress = (loaded, total) => {
+    updateMediaUploads(instanceName, realm, uploads => uploads.map(_ => _.id === id ? { ..._, loaded, total } : _))
+  }
+  try {
+    return await upload(controller.signal, onProgress)
+  } finally {
+    uploadControllers.delete(id)
+    updateMediaUploads(instanceName, realm, uploads => uploads.filter(_ => _.id !== id))
+  }
+}
+
+export function cancelMediaUpload (uploadId) {
+  const controller = uploadControllers.get(uploadId)
+  if (controller) {
+    controller.abort()
+  }
+}
+
+function onUploadError (e) {
+  if (e.name === 'AbortError') {
+    /* no await */ toast.say('intl.uploadCanceled')
+    return
+  }
+  console.error(e)
+  /* no await */ toast.say(formatIntl('intl.failedToUploadMedia', { error: (e.message || '') }))
+}
+
+async function processImageForUpload (file) {
+  const { currentCapabilities } = store.get()
+  try {
+    return await processImage(file, {
+      maxPixels: currentCapabilities.imageMatrixLimit,
+      maxBytes: currentCapabilities.imageSizeLimit
+    })
+  } catch (e) {
+    console.warn('could not process image, uploading the original', e)
+    // the original still has its metadata, e.g. the location where the photo was taken
+    /* no await */ toast.say(formatIntl('intl.unableToProcessImage', { error: (e.message || '') }))
+    return null
+  }
+}
+
+// The server may respond before it has finished processing the media (e.g. transcoding a video),
+// in which case the url is null. Resolves to the media once it has a url.
+export async function waitForMediaProcessing (instanceName, accessToken, media) {
+  const start = Date.now()
+  while (!media.url) {
+    if (Date.now() - start > PROCESSING_TIMEOUT) {
+      throw new Error('Timed out waiting for the server to process the media')
+    }
+    await new Promise(resolve => setTimeout(resolve, PROCESSING_POLL_INTERVAL))
+    media = await getMedia(instanceName, accessToken, media.id)
+  }
+  return media
+}
+
+function updateComposeMedia (instanceName, realm, mediaId, func) {
+  const { composeData } = store.get()
+  const realmData = composeData[instanceName] && composeData[instanceName][realm]
+  if (!realmData || !realmData.media) {
+    return
+  }
+  realmData.media = realmData.media
+    .map(mediaItem => mediaItem.data.id === mediaId ? func(mediaItem) : mediaItem)
+    .filter(Boolean)
+  store.set({ composeData })
+  scheduleIdleTask(() => store.save())
+}
+
+// Called for compose media that the server is still processing. Posting is blocked until it's done.
+export async function updateMediaWhenProcessed (realm, mediaId) {
+  const { currentInstance, accessToken } = store.get()
+  const key = `${currentInstance}/${mediaId}`
+  if (mediaBeingProcessed.has(key)) {
+    return
+  }
+  mediaBeingProcessed.add(key)
+  try {
+    const media = await waitForMediaProcessing(currentInstance, accessToken, { id: mediaId, url: null })
+    updateComposeMedia(currentInstance, realm, mediaId, mediaItem => ({ ...mediaItem, data: media }))
+  } catch (e) {
+    console.error(e)
+    /* no await */ toast.say(formatIntl('intl.mediaProcessingFailed', { error: (e.message || '') }))
+    updateComposeMedia(currentInstance, realm, mediaId, () => null)
+  } finally {
+    mediaBeingProcessed.delete(key)
+  }
+}
+
+// Images are resized to fit the instance's limits and stripped of their metadata (e.g. GPS
+// coordinates) before uploading, unless keepOriginal is set, see the keepOriginalMedia setting.
+export async function doMediaUpload (realm, file, keepOriginal = false) {
   const { currentInstance, accessToken, maxStatusMediaAttachments } = store.get()
+  const isFull = () => {
+    const composeMedia = store.getComposeData(realm, 'media') || []
+    return composeMedia.length >= maxStatusMediaAttachments
+  }
   store.set({ uploadingMedia: true })
   try {
-    let composeMedia = store.getComposeData(realm, 'media') || []
-    if (composeMedia.length === maxStatusMediaAttachments) {
+    if (isFull()) {
       throw new Error('Only ' + maxStatusMediaAttachments + ' media max are allowed')
     }
-    const response = await uploadMedia(currentInstance, accessToken, file)
-    composeMedia = store.getComposeData(realm, 'media') || []
-    if (composeMedia.length === maxStatusMediaAttachments) {
+    const { response, fileToUpload } = await trackUpload(currentInstance, realm, file.name, async (signal, onProgress) => {
+      const processed = !keepOriginal && await processImageForUpload(file)
+      if (signal.aborted) {
+        throw createAbortError()
+      }
+      const fileToUpload = processed ? processed.file : file
+      const response = await uploadMedia(currentInstance, accessToken, fileToUpload, undefined, { signal, onProgress })
+      return { response, fileToUpload }
+    })
+    if (isFull()) {
       throw new Error('Only ' + maxStatusMediaAttachments + ' media max are allowed')
     }
-    await database.setCachedMediaFile(response.id, file)
+    await database.setCachedMediaFile(response.id, fileToUpload)
+    const composeMedia = store.getComposeData(realm, 'media') || []
     composeMedia.push({
       data: response,
       file: { name: file.name },
@@ -28,9 +159,11 @@ export async function doMediaUpload (realm, file) {
       media: composeMedia
     })
     scheduleIdleTask(() => store.save())
+    if (!response.url) {
+      /* no await */ updateMediaWhenProcessed(realm, response.id)
+    }
   } catch (e) {
-    console.error(e)
-    /* no await */ toast.say(formatIntl('intl.failedToUploadMedia', { error: (e.message || '') }))
+    onUploadError(e)
   } finally {
     store.set({ uploadingMedia: false })
   }
@@ -0,0 +1,174 @@
+import { store } from '../_store/store.js'
+import { toast } from '../_components/toast/toast.js'
+import { database } from '../_database/database.js'
+import { formatIntl } from '../_utils/formatIntl.js'
+import { postStatus } from '../_api/statuses.js'
+import { putMediaMetadata, uploadMedia } from '../_api/media.js'
+import { favoriteStatus, unfavoriteStatus } from '../_api/favorite.js'
+import { reblogStatus, unreblogStatus } from '../_api/reblog.js'
+import { bookmarkStatus, unbookmarkStatus } from '../_api/bookmark.js'
+import { reactStatus, unreactStatus } from '../_api/react.js'
+import { addStatusOrNotification } from './addStatusOrNotification.js'
+import { waitForMediaProcessing } from './media.js'
+
+// The outbox holds posts and interactions made while offline. Each item is
+// { id, createdAt, instanceName, type, payload, error }, and items are replayed in order
+// once we're back online. Failed items stay in the outbox so they can be retried or discarded,
+// and hold back the items queued after them until then.
+
+let replaying = false
+
+async function sendPost (instanceName, accessToken, payload) {
+  const {
+    text, inReplyToId, media, sensitive, spoilerText, visibility,
+    poll, contentType, quoteId, localOnly, scheduledAt
+  } = payload
+  const mediaIds = []
+  for (const { id, file, description, focalPoint } of media) {
+    try {
+      await putMediaMetadata(instanceName, accessToken, id, description, focalPoint)
+      mediaIds.push(id)
+    } catch (e) {
+      // the server may have cleaned up the unattached media in the meantime, so upload it again
+      if (!file || !e || e.status !== 404) {
+        throw e
+      }
+      const response = await waitForMediaProcessing(instanceName, accessToken,
+        await uploadMedia(instanceName, accessToken, file, description))
+      if (focalPoint && (focalPoint[0] || focalPoint[1])) {
+        await putMediaMetadata(instanceName, accessToken, response.id, description, focalPoint)
+      }
+      mediaIds.push(response.id)
+    }
+  }
+  const status = await postStatus(instanceName, accessToken, text, inReplyToId, mediaIds,
+    sensitive, spoilerText, visibility, poll, contentType, quoteId, localOnly, scheduledAt)
+  if (!scheduledAt) {
+    addStatusOrNotification(instanceName, 'home', status)
+  }
+  for (const { id } of media) {
+    /* no await */ database.deleteCachedMediaFile(id)
+  }
+}
+
+const senders = {
+  post: sendPost,
+  async favorite (instanceName, accessToken, { statusId, favorited }) {
+    await (favorited ? favoriteStatus : unfavoriteStatus)(instanceName, accessToken, statusId)
+    await database.setStatusFavorited(instanceName, statusId, favorited)
+  },
+  async reblog (instanceName, accessToken, { statusId, reblogged }) {
+    await (reblogged ? reblogStatus : unreblogStatus)(instanceName, accessToken, statusId)
+    await database.setStatusReblogged(instanceName, statusId, reblogged)
+  },
+  async bookmark (instanceName, accessToken, { statusId, bookmarked }) {
+    await (bookmarked ? bookmarkStatus : unbookmarkStatus)(instanceName, accessToken, statusId)
+    await database.setStatusBookmarked(instanceName, statusId, bookmarked)
+  },
+  async react (instanceName, accessToken, { statusId, reacting, reactionName, apiVersion }) {
+    await (reacting ? reactStatus : unreactStatus)(instanceName, accessToken, statusId, reactionName, apiVersion)
+  }
+}
+
+export async function updateOutboxItems () {
+  store.set({ outboxItems: await database.getOutboxItems() })
+}
+
+export async function queueOutboxItem (type, payload) {
+  const { currentInstance } = store.get()
+  await database.addOutboxItem({ instanceName: currentInstance, type, payload, error: null })
+  await updateOutboxItems()
+  /* no await */ toast.say('intl.queuedInOutbox')
+}
+
+// Keep a copy of the uploaded files, because the media upload cache may evict them
+// before we're back online.
+export async function getOutboxMedia (mediaIds, mediaDescriptions, mediaFocalPoints) {
+  return Promise.all((mediaIds || []).map(async (id, i) => ({
+    id,
+    file: await database.getCachedMediaFile(id),
+    description: (mediaDescriptions && mediaDescriptions[i]) || '',
+    focalPoint: (mediaFocalPoints && mediaFocalPoints[i]) || [0, 0]
+  })))
+}
+
+async function sendOutboxItem (item) {
+  const { loggedInInstances } = store.get()
+  const instanceData = loggedInInstances[item.instanceName]
+  if (!instanceData) {
+    // logged out of the instance in the meantime, so there's nothing we can do
+    await database.deleteOutboxItem(item.id)
+    return true
+  }
+  try {
+    await senders[item.type](item.instanceName, instanceData.access_token, item.payload)
+    await database.deleteOutboxItem(item.id)
+    return true
+  } catch (e) {
+    console.error(e)
+    await database.updateOutboxItem({ ...item, error: (e.message || e.name || '') })
+    return false
+  }
+}
+
+export async function replayOutbox () {
+  if (replaying) {
+    return
+  }
+  replaying = true
+  try {
+    const items = await database.getOutboxItems()
+    if (!items.length) {
+      return
+    }
+    let sent = 0
+    let failures = 0
+    for (const item of items) {
+      const { online } = store.get()
+      if (!online) {
+        break
+      }
+      // stop at the first failure, so that later items aren't sent out of order, e.g. a reply before
+      // the post it replies to. The rest stay queued until the failed item is retried or discarded.
+      if (item.error) {
+        break // failed previously, needs to be retried manually
+      }
+      if (await sendOutboxItem(item)) {
+        sent++
+      } else {
+        failures++
+        break
+      }
+    }
+    await updateOutboxItems()
+    if (failures) {
+      /* no await */ toast.say(formatIntl('intl.outboxFailures', { count: failures }))
+    } else if (sent) {
+      /* no await */ toast.say('intl.outboxSent')
+    }
+  } finally {
+    replaying = false
+  }
+}
+
+export async function retryOutboxItem (item) {
+  const { online } = store.get()
+  if (!online) {
+    /* no await */ toast.say('intl.cannotRetryOffline')
+    return
+  }
+  const success = await sendOutboxItem({ ...item, error: null })
+  await updateOutboxItems()
+  if (!success) {
+    /* no await */ toast.say(formatIntl('intl.outboxFailures', { count: 1 }))
+    return
+  }
+  // the items queued after this one were waiting on it
+  /* no await */ replayOutbox()
+}
+
+export async function discardOutboxItem (item) {
+  await database.deleteOutboxItem(item.id)
+  await updateOutboxItems()
+  /* no await */ replayOutbox()
+}
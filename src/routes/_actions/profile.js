@@ -0,0 +1,49 @@
+import { store } from '../_store/store.js'
+import { updateCredentials } from '../_api/updateCredentials.js'
+import { setVerifyCredentialsForInstance } from './instances.js'
+import { toast } from '../_components/toast/toast.js'
+import { formatIntl } from '../_utils/formatIntl.js'
+
+// profile is { displayName, note, avatar, header, fields, locked, bot, discoverable, hideCollections,
+// privacy, sensitive, language }, where avatar and header are Files, or null to leave them as they are.
+// Everything is sent as multipart form data, since that's the only way to upload the images.
+function createFormData (profile) {
+  const formData = new FormData()
+  formData.append('display_name', profile.displayName)
+  formData.append('note', profile.note)
+  if (profile.avatar) {
+    formData.append('avatar', profile.avatar)
+  }
+  if (profile.header) {
+    formData.append('header', profile.header)
+  }
+  // the fields are replaced by whatever we send, but sending none at all leaves them as they are
+  const fields = profile.fields.length ? profile.fields : [{ name: '', value: '' }]
+  fields.forEach((field, i) => {
+    formData.append(`fields_attributes[${i}][name]`, field.name)
+    formData.append(`fields_attributes[${i}][value]`, field.value)
+  })
+  formData.append('locked', profile.locked)
+  formData.append('bot', profile.bot)
+  formData.append('discoverable', profile.discoverable)
+  formData.append('hide_collections', profile.hideCollections)
+  formData.append('source[privacy]', profile.privacy)
+  formData.append('source[sensitive]', profile.sensitive)
+  formData.append('source[language]', profile.language)
+  return formData
+}
+
+// Returns whether it worked
+export async function saveProfile (profile) {
+  const { currentInstance, accessToken } = store.get()
+  try {
+    const verifyCredentials = await updateCredentials(currentInstance, accessToken, createFormData(profile))
+    await setVerifyCredentialsForInstance(currentInstance, verifyCredentials)
+    /* no await */ toast.say('intl.savedProfile')
+    return true
+  } catch (e) {
+    console.error(e)
+    /* no await */ toast.say(formatIntl('intl.unableToSaveProfile', { error: (e.message || '') }))
+    return false
+  }
+}
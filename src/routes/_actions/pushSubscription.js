@@ -1,21 +1,85 @@
 import { getSubscription, deleteSubscription, postSubscription, putSubscription } from '../_api/pushSubscription.js'
 import { store } from '../_store/store.js'
 import { urlBase64ToUint8Array } from '../_utils/base64.js'
+import { getPushScope } from '../_utils/pushScope.js'
 
 const dummyApplicationServerKey = 'BImgAz4cF_yvNFp8uoBJCaGpCX4d0atNIFMHfBvAAXCyrnn9IMAFQ10DW_ZvBCzGeR4fZI5FnEi2JVcRE-L88jY='
 
+function waitForActiveWorker (registration) {
+  if (registration.active) {
+    return
+  }
+  const worker = registration.installing || registration.waiting
+  return new Promise((resolve, reject) => {
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'activated') {
+        resolve()
+      } else if (worker.state === 'redundant') {
+        reject(new Error('service worker failed to install'))
+      }
+    })
+  })
+}
+
+// Each instance has its own service worker registration, see pushScope.js
+async function getPushRegistration (instanceName, create) {
+  const scope = getPushScope(location.origin, instanceName)
+  let registration = await navigator.serviceWorker.getRegistration(scope)
+  if (!registration || registration.scope !== scope) {
+    // getRegistration() returns the registration with the closest scope, i.e. the main one
+    if (!create) {
+      return null
+    }
+    registration = await navigator.serviceWorker.register('/service-worker.js', { scope })
+  }
+  await waitForActiveWorker(registration)
+  return registration
+}
+
+async function getPushSubscription (instanceName) {
+  const registration = await getPushRegistration(instanceName, /* create */ false)
+  return registration && registration.pushManager.getSubscription()
+}
+
+// Before each instance had its own registration, there was only one subscription, on the
+// main registration. Give every instance that had push enabled its own subscription instead.
+async function migrateLegacyPushSubscriptions () {
+  const { loggedInInstancesInOrder } = store.get()
+  for (const instanceName of loggedInInstancesInOrder) {
+    const pushSubscription = store.getInstanceData(instanceName, 'pushSubscriptions')
+    if (pushSubscription && !(await getPushSubscription(instanceName))) {
+      try {
+        await updateAlerts(instanceName, pushSubscription.alerts)
+      } catch (e) {
+        console.warn('could not migrate push subscription for', instanceName, e)
+        store.setInstanceData(instanceName, 'pushSubscriptions', null)
+        store.save()
+      }
+    }
+  }
+  const mainRegistration = await navigator.serviceWorker.ready
+  const legacySubscription = await mainRegistration.pushManager.getSubscription()
+  if (legacySubscription) {
+    await legacySubscription.unsubscribe()
+  }
+}
+
 export async function updatePushSubscriptionForInstance (instanceName) {
-  const { loggedInInstances, currentPushSubscription } = store.get()
+  const { loggedInInstances } = store.get()
   const accessToken = loggedInInstances[instanceName].access_token
+  const pushSubscription = store.getInstanceData(instanceName, 'pushSubscriptions')
 
-  if (currentPushSubscription === null) {
+  if (pushSubscription === null) {
     return
   }
 
-  const registration = await navigator.serviceWorker.ready
-  const subscription = await registration.pushManager.getSubscription()
+  const subscription = await getPushSubscription(instanceName)
 
   if (subscription === null) {
+    if (pushSubscription) {
+      await migrateLegacyPushSubscriptions()
+      return
+    }
     store.setInstanceData(instanceName, 'pushSubscriptions', null)
     store.save()
     return
@@ -28,7 +92,7 @@ export async function updatePushSubscriptionForInstance (instanceName) {
     if (btoa(urlBase64ToUint8Array(backendSubscription.server_key).buffer) !== btoa(subscription.options.applicationServerKey)) {
       await subscription.unsubscribe()
       await deleteSubscription(instanceName, accessToken)
-      await updateAlerts(instanceName, currentPushSubscription.alerts)
+      await updateAlerts(instanceName, pushSubscription && pushSubscription.alerts)
     } else {
       store.setInstanceData(instanceName, 'pushSubscriptions', backendSubscription)
       store.save()
@@ -47,7 +111,7 @@ export async function updateAlerts (instanceName, alerts) {
   const { loggedInInstances } = store.get()
   const accessToken = loggedInInstances[instanceName].access_token
 
-  const registration = await navigator.serviceWorker.ready
+  const registration = await getPushRegistration(instanceName, /* create */ true)
   let subscription = await registration.pushManager.getSubscription()
 
   if (subscription === null) {
@@ -87,3 +151,20 @@ export async function updateAlerts (instanceName, alerts) {
     }
   }
 }
+
+// Called when logging out, so that the instance stops sending us pushes
+export async function removePushSubscriptionForInstance (instanceName, accessToken) {
+  if (!('serviceWorker' in navigator)) {
+    return
+  }
+  const registration = await getPushRegistration(instanceName, /* create */ false)
+  if (!registration) {
+    return
+  }
+  try {
+    await deleteSubscription(instanceName, accessToken)
+  } catch (e) {
+    console.warn('could not delete push subscription', e)
+  }
+  await registration.unregister()
+}
@@ -6,18 +6,19 @@ import { importShowEmojiDialog } from '../_components/dialog/asyncDialogs/import
 import { updateCustomEmojiForInstance } from './emoji.js'
 import { updateStatus } from './timeline.js'
 import { scheduleIdleTask } from '../_utils/scheduleIdleTask.js'
+import { queueOutboxItem } from './outbox.js'
 
 export async function setReacted (statusId, reacting, reaction, apiVersion) {
   if (reaction.extern && !apiVersion.externReactions) {
     /* no await */ toast.say('Your instance doesn\'t allow reacting with remote custom emojis')
     return false
   }
-  const { online } = store.get()
+  const { online, currentInstance, accessToken } = store.get()
   if (!online) {
-    /* no await */ toast.say(reacting ? 'intl.cannotFavoriteOffline' : 'intl.cannotUnfavoriteOffline')
-    return false
+    store.setStatusReacted(currentInstance, statusId, reaction, reacting)
+    await queueOutboxItem('react', { statusId, reacting, reactionName: reaction.name, apiVersion })
+    return true
   }
-  const { currentInstance, accessToken } = store.get()
   const networkPromise = reacting
     ? reactStatus(currentInstance, accessToken, statusId, reaction.name, apiVersion)
     : unreactStatus(currentInstance, accessToken, statusId, reaction.name, apiVersion)
@@ -35,14 +36,15 @@ export async function setReacted (statusId, reacting, reaction, apiVersion) {
 }
 
 export async function pickEmojiReaction (status) {
-  const { currentInstance, accessToken, currentReactionApi } = store.get()
+  const { currentInstance, accessToken, currentCapabilities } = store.get()
   const [showEmojiDialog] = await Promise.all([
     importShowEmojiDialog(),
     updateCustomEmojiForInstance(currentInstance)
   ])
   showEmojiDialog(async pickedEmoji => {
-    const didReact = await setReacted(status.id, true, { name: pickedEmoji.name || pickedEmoji.unicode }, currentReactionApi)
-    if (didReact) {
+    const didReact = await setReacted(status.id, true, { name: pickedEmoji.name || pickedEmoji.unicode }, currentCapabilities.reactionApi)
+    // there's nothing to refresh until the queued reaction has been sent
+    if (didReact && store.get().online) {
       scheduleIdleTask(() => {
         updateStatus(currentInstance, accessToken, status.id)
       })
@@ -3,14 +3,15 @@ import { toast } from '../_components/toast/toast.js'
 import { reblogStatus, unreblogStatus } from '../_api/reblog.js'
 import { database } from '../_database/database.js'
 import { formatIntl } from '../_utils/formatIntl.js'
+import { queueOutboxItem } from './outbox.js'
 
 export async function setReblogged (statusId, reblogged) {
-  const online = store.get()
+  const { online, currentInstance, accessToken } = store.get()
   if (!online) {
-    /* no await */ toast.say(reblogged ? 'intl.cannotReblogOffline' : 'intl.cannotUnreblogOffline')
+    store.setStatusReblogged(currentInstance, statusId, reblogged)
+    await queueOutboxItem('reblog', { statusId, reblogged })
     return
   }
-  const { currentInstance, accessToken } = store.get()
   const networkPromise = reblogged
     ? reblogStatus(currentInstance, accessToken, statusId)
     : unreblogStatus(currentInstance, accessToken, statusId)
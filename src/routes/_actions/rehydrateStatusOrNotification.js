@@ -60,7 +60,9 @@ function rehydrateQuote (originalStatus) {
 async function processStatusContent (originalStatus) {
   try {
     const { autoplayGifs, currentVerifyCredentials } = store.get()
-    Object.assign(originalStatus, await worker.postMessage({ originalStatus, autoplayGifs, currentVerifyCredentials }))
+    // the worker doesn't have the messages for the interface language, so pass it what it needs
+    const searchLabel = 'intl.search'
+    Object.assign(originalStatus, await worker.postMessage({ originalStatus, autoplayGifs, currentVerifyCredentials, searchLabel }))
   } catch (e) {
     console.warn('failed to processStatusContent', originalStatus, e)
   }
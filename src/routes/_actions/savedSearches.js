@@ -0,0 +1,62 @@
+import { store } from '../_store/store.js'
+import { toast } from '../_components/toast/toast.js'
+
+// Both are kept per instance in localStorage. The history is a list of queries, most recent
+// first. Saved searches are { id, query, type } and can be pinned as /searches/{id}.
+
+const MAX_SEARCH_HISTORY = 20
+
+export function addToSearchHistory (instanceName, query) {
+  query = query.trim()
+  if (!query) {
+    return
+  }
+  const history = (store.getInstanceData(instanceName, 'searchHistory') || [])
+    .filter(_ => _ !== query)
+  history.unshift(query)
+  store.setInstanceData(instanceName, 'searchHistory', history.slice(0, MAX_SEARCH_HISTORY))
+  store.save()
+}
+
+export function removeFromSearchHistory (instanceName, query) {
+  const history = store.getInstanceData(instanceName, 'searchHistory') || []
+  store.setInstanceData(instanceName, 'searchHistory', history.filter(_ => _ !== query))
+  store.save()
+}
+
+export function clearSearchHistory (instanceName) {
+  store.setInstanceData(instanceName, 'searchHistory', [])
+  store.save()
+}
+
+export function getSavedSearch (instanceName, query, type) {
+  const savedSearches = store.getInstanceData(instanceName, 'savedSearches') || []
+  return savedSearches.find(_ => _.query === query && _.type === type)
+}
+
+export function saveSearch (instanceName, query, type) {
+  if (getSavedSearch(instanceName, query, type)) {
+    return
+  }
+  const savedSearches = store.getInstanceData(instanceName, 'savedSearches') || []
+  savedSearches.push({
+    id: `${Date.now()}-${Math.random().toString(36).substring(2)}`,
+    query,
+    type
+  })
+  store.setInstanceData(instanceName, 'savedSearches', savedSearches)
+  store.save()
+  /* no await */ toast.say('intl.searchSaved')
+}
+
+export function deleteSavedSearch (instanceName, id) {
+  const savedSearches = store.getInstanceData(instanceName, 'savedSearches') || []
+  store.setInstanceData(instanceName, 'savedSearches', savedSearches.filter(_ => _.id !== id))
+  const { pinnedPages } = store.get()
+  if (pinnedPages[instanceName] === `/searches/${id}`) {
+    delete pinnedPages[instanceName] // back to the default
+    store.set({ pinnedPages })
+  }
+  store.save()
+  /* no await */ toast.say('intl.savedSearchDeleted')
+}
@@ -0,0 +1,81 @@
+import { store } from '../_store/store.js'
+import { toast } from '../_components/toast/toast.js'
+import { formatIntl } from '../_utils/formatIntl.js'
+import { emit } from '../_utils/eventBus.ts'
+import { importShowComposeDialog } from '../_components/dialog/asyncDialogs/importShowComposeDialog.js'
+import {
+  getScheduledStatuses,
+  rescheduleStatus,
+  cancelScheduledStatus
+} from '../_api/scheduledStatuses.js'
+
+// Mastodon refuses to schedule anything less than 5 minutes in the future
+export const MIN_SCHEDULE_DELAY = 5 * 60 * 1000
+
+export function isValidScheduledAt (scheduledAt) {
+  const time = new Date(scheduledAt).getTime()
+  return !isNaN(time) && time - Date.now() >= MIN_SCHEDULE_DELAY
+}
+
+export async function fetchScheduledStatuses () {
+  const { currentInstance, accessToken } = store.get()
+  const scheduledStatuses = await getScheduledStatuses(currentInstance, accessToken)
+  return scheduledStatuses.sort((a, b) => new Date(a.scheduled_at) - new Date(b.scheduled_at))
+}
+
+export function setComposeScheduledAt (realm, scheduledAt) {
+  store.setComposeData(realm, { scheduledAt })
+}
+
+export async function doRescheduleStatus (scheduledStatusId, scheduledAt) {
+  const { currentInstance, accessToken } = store.get()
+  try {
+    await rescheduleStatus(currentInstance, accessToken, scheduledStatusId, scheduledAt)
+    /* no await */ toast.say('intl.rescheduledStatus')
+    emit('scheduledStatusesChanged')
+  } catch (e) {
+    console.error(e)
+    /* no await */ toast.say(formatIntl('intl.unableToReschedule', { error: (e.message || '') }))
+  }
+}
+
+export async function doCancelScheduledStatus (scheduledStatusId) {
+  const { currentInstance, accessToken } = store.get()
+  try {
+    await cancelScheduledStatus(currentInstance, accessToken, scheduledStatusId)
+    /* no await */ toast.say('intl.cancelledScheduledStatus')
+    emit('scheduledStatusesChanged')
+  } catch (e) {
+    console.error(e)
+    /* no await */ toast.say(formatIntl('intl.unableToCancelScheduledStatus', { error: (e.message || '') }))
+  }
+}
+
+// The API only allows changing the date of a scheduled status, so to edit its content we
+// open it in the compose dialog, and replace the old one once the new one is scheduled.
+export async function editScheduledStatus (scheduledStatus) {
+  const showComposeDialog = await importShowComposeDialog()
+  const { params } = scheduledStatus
+  store.clearComposeData('dialog')
+  store.setComposeData('dialog', {
+    text: params.text || '',
+    contentWarningShown: !!params.spoiler_text,
+    contentWarning: params.spoiler_text || '',
+    postPrivacy: params.visibility,
+    media: scheduledStatus.media_attachments && scheduledStatus.media_attachments.map(_ => ({
+      description: _.description || '',
+      data: _
+    })),
+    inReplyToId: params.in_reply_to_id,
+    poll: params.poll && {
+      multiple: !!params.poll.multiple,
+      options: params.poll.options || [],
+      expiry: parseInt(params.poll.expires_in, 10) || undefined
+    },
+    sensitive: !!params.sensitive,
+    language: params.language,
+    scheduledAt: scheduledStatus.scheduled_at,
+    scheduledStatusId: scheduledStatus.id
+  })
+  showComposeDialog()
+}
@@ -1,22 +1,75 @@
 import { store } from '../_store/store.js'
 import { toast } from '../_components/toast/toast.js'
-import { search } from '../_api/search.js'
+import { search, searchByType } from '../_api/search.js'
 import { formatIntl } from '../_utils/formatIntl.js'
 import { rehydrateStatusOrNotification } from './rehydrateStatusOrNotification.js'
+import { addToSearchHistory } from './savedSearches.js'
+
+// 'all' shows the top few results of every type, the others show one type with paging
+export const SEARCH_TYPES = ['all', 'accounts', 'statuses', 'hashtags']
+
+const SEARCH_PAGE_SIZE = 20
+
+function getResultId (type, result) {
+  return type === 'hashtags' ? result.name : result.id
+}
+
+function concatResults (type, previous, next) {
+  const ids = new Set(previous.map(result => getResultId(type, result)))
+  return previous.concat(next.filter(result => !ids.has(getResultId(type, result))))
+}
+
+async function fetchPage (instanceName, accessToken, query, type, previousResults) {
+  if (type === 'all') {
+    return { page: await search(instanceName, accessToken, query), hasMore: false }
+  }
+  const previous = previousResults ? previousResults[type] : []
+  try {
+    const page = await searchByType(instanceName, accessToken, query, type, {
+      offset: type === 'statuses' ? 0 : previous.length,
+      maxId: type === 'statuses' && previous.length ? previous[previous.length - 1].id : undefined,
+      limit: SEARCH_PAGE_SIZE
+    })
+    return { page, hasMore: page[type].length >= SEARCH_PAGE_SIZE }
+  } catch (err) {
+    if (err && err.status === 404 && !previousResults) {
+      // only the old search API, which can't filter by type or page
+      const page = await search(instanceName, accessToken, query, true, SEARCH_PAGE_SIZE)
+      return { page, hasMore: false }
+    }
+    throw err
+  }
+}
+
+// Fetches the first page of results, or the next page after previousResults.
+// Resolves to { results, hasMore }, where results is { accounts, statuses, hashtags }.
+export async function fetchSearchResults (instanceName, accessToken, query, type, previousResults) {
+  const { page, hasMore } = await fetchPage(instanceName, accessToken, query, type, previousResults)
+  const results = { accounts: [], statuses: [], hashtags: [] }
+  for (const key of Object.keys(results)) {
+    if (type === 'all' || type === key) {
+      results[key] = concatResults(key, previousResults ? previousResults[key] : [], page[key] || [])
+    }
+  }
+  await Promise.all(
+    (page.statuses || []).map(status => rehydrateStatusOrNotification({ status }))
+  )
+  return { results, hasMore }
+}
 
 export async function doSearch () {
-  const { currentInstance, accessToken, queryInSearch } = store.get()
+  const { currentInstance, accessToken, queryInSearch, searchType } = store.get()
   store.set({ searchLoading: true })
   try {
-    const results = await search(currentInstance, accessToken, queryInSearch)
-    const { queryInSearch: newQueryInSearch } = store.get() // avoid race conditions
-    await Promise.all(
-      results.statuses.map(status => rehydrateStatusOrNotification({ status }))
-    )
-    if (newQueryInSearch === queryInSearch) {
+    const { results, hasMore } = await fetchSearchResults(currentInstance, accessToken, queryInSearch, searchType)
+    const { queryInSearch: newQueryInSearch, searchType: newSearchType } = store.get() // avoid race conditions
+    addToSearchHistory(currentInstance, queryInSearch)
+    if (newQueryInSearch === queryInSearch && newSearchType === searchType) {
       store.set({
         searchResultsForQuery: queryInSearch,
-        searchResults: results
+        searchResultsForType: searchType,
+        searchResults: results,
+        searchHasMore: hasMore
       })
     }
   } catch (e) {
@@ -28,3 +81,37 @@ export async function doSearch () {
     store.set({ searchLoading: false })
   }
 }
+
+export async function loadMoreSearchResults () {
+  const {
+    currentInstance,
+    accessToken,
+    searchResults,
+    searchResultsForQuery,
+    searchResultsForType,
+    searchHasMore,
+    searchLoadingMore
+  } = store.get()
+  if (!searchResults || !searchHasMore || searchLoadingMore) {
+    return
+  }
+  store.set({ searchLoadingMore: true })
+  try {
+    const { results, hasMore } = await fetchSearchResults(
+      currentInstance, accessToken, searchResultsForQuery, searchResultsForType, searchResults
+    )
+    if (store.get().searchResults === searchResults) { // avoid race conditions
+      store.set({
+        searchResults: results,
+        searchHasMore: hasMore
+      })
+    }
+  } catch (e) {
+    /* no await */ toast.say(
+      formatIntl('intl.searchError', { error: e.message || String(e) })
+    )
+    console.error(e)
+  } finally {
+    store.set({ searchLoadingMore: false })
+  }
+}
@@ -0,0 +1,180 @@
+import { store, keysToStoreInLocalStorage } from '../_store/store.js'
+import { toast } from '../_components/toast/toast.js'
+import { formatIntl } from '../_utils/formatIntl.js'
+import { downloadFile } from '../_utils/downloadFile.js'
+
+// A settings backup is { format, version, exportedAt, settings }, where settings holds a subset
+// of the persisted store state. Importing merges it into the current state, so that existing
+// logins and per-instance settings that aren't in the file are kept.
+
+const FORMAT = 'enafore-settings'
+const VERSION = 1
+
+// tied to this browser or to an in-progress action, so they don't make sense elsewhere
+const UNEXPORTED_KEYS = [
+  'composeData',
+  'currentRegisteredInstanceName',
+  'currentRegisteredInstance',
+  'pushSubscriptions',
+  'lastPings',
+  'searchHistory'
+]
+
+// useless without an access token
+const LOGIN_KEYS = ['currentInstance', 'loggedInInstances', 'loggedInInstancesInOrder']
+
+// only exported along with the logins, since they're just as sensitive
+const SECRET_KEYS = ['libreTranslateApiKey']
+
+// objects keyed by instance name, whose values are themselves merged
+const DEEP_MERGED_KEYS = ['instanceSettings']
+
+function getType (value) {
+  if (value === null || typeof value === 'undefined') {
+    return 'empty'
+  }
+  return Array.isArray(value) ? 'array' : typeof value
+}
+
+function isExportedKey (key) {
+  return keysToStoreInLocalStorage.has(key) && !UNEXPORTED_KEYS.includes(key)
+}
+
+function isSensitiveKey (key) {
+  return LOGIN_KEYS.includes(key) || SECRET_KEYS.includes(key)
+}
+
+function isValidValue (key, value) {
+  const currentType = getType(store.get()[key])
+  const type = getType(value)
+  if (type === 'empty') {
+    return false
+  }
+  if (currentType === 'empty') { // e.g. currentInstance before logging in
+    return type !== 'object' && type !== 'array'
+  }
+  if (type !== currentType) {
+    return false
+  }
+  switch (key) {
+    case 'loggedInInstances':
+      return Object.values(value).every(data => (
+        getType(data) === 'object' && typeof data.access_token === 'string'
+      ))
+    case 'loggedInInstancesInOrder':
+      return value.every(instanceName => typeof instanceName === 'string')
+  }
+  return true
+}
+
+function getFileName () {
+  return `enafore-settings-${new Date().toISOString().substring(0, 10)}.json`
+}
+
+export function createSettingsBackup (includeLogins) {
+  const state = store.get()
+  const settings = {}
+  for (const key of keysToStoreInLocalStorage) {
+    if (isExportedKey(key) && (includeLogins || !isSensitiveKey(key))) {
+      settings[key] = state[key]
+    }
+  }
+  return {
+    format: FORMAT,
+    version: VERSION,
+    exportedAt: new Date().toISOString(),
+    settings
+  }
+}
+
+export function exportSettings (includeLogins) {
+  const backup = createSettingsBackup(includeLogins)
+  const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' })
+  downloadFile(blob, getFileName())
+}
+
+// Returns the valid settings in the file, throws if the file isn't a settings backup at all.
+export function parseSettingsBackup (text) {
+  let backup
+  try {
+    backup = JSON.parse(text)
+  } catch (e) {
+    throw new Error('intl.settingsFileInvalid')
+  }
+  if (getType(backup) !== 'object' || backup.format !== FORMAT ||
+      getType(backup.settings) !== 'object') {
+    throw new Error('intl.settingsFileInvalid')
+  }
+  if (typeof backup.version !== 'number' || backup.version > VERSION) {
+    throw new Error('intl.settingsFileTooNew')
+  }
+  const settings = {}
+  for (const [key, value] of Object.entries(backup.settings)) {
+    if (isExportedKey(key) && isValidValue(key, value)) {
+      settings[key] = value
+    } else {
+      console.warn('ignoring invalid setting', key)
+    }
+  }
+  return settings
+}
+
+export function mergeSettingsBackup (settings) {
+  const state = store.get()
+  const newState = {}
+  for (const [key, value] of Object.entries(settings)) {
+    const current = state[key]
+    switch (key) {
+      case 'currentInstance':
+      case 'loggedInInstancesInOrder':
+        break // handled below, once we know which logins were added
+      case 'loggedInInstances':
+        // never replace a login we already have, it may be newer than the one in the file
+        newState[key] = { ...value, ...current }
+        break
+      default:
+        if (getType(value) !== 'object') {
+          newState[key] = value
+        } else if (DEEP_MERGED_KEYS.includes(key)) {
+          const merged = { ...current }
+          for (const [instanceName, instanceValue] of Object.entries(value)) {
+            merged[instanceName] = getType(instanceValue) === 'object'
+              ? { ...current[instanceName], ...instanceValue }
+              : instanceValue
+          }
+          newState[key] = merged
+        } else {
+          newState[key] = { ...current, ...value }
+        }
+    }
+  }
+  if (newState.loggedInInstances) {
+    const order = state.loggedInInstancesInOrder.slice()
+    const importedOrder = settings.loggedInInstancesInOrder || Object.keys(settings.loggedInInstances)
+    for (const instanceName of importedOrder) {
+      if (newState.loggedInInstances[instanceName] && !order.includes(instanceName)) {
+        order.push(instanceName)
+      }
+    }
+    newState.loggedInInstancesInOrder = order
+    if (!state.currentInstance && order.length) {
+      newState.currentInstance = order.includes(settings.currentInstance)
+        ? settings.currentInstance
+        : order[0]
+    }
+  }
+  store.set(newState)
+  store.save()
+  return Object.keys(newState).length
+}
+
+export async function importSettings (file) {
+  try {
+    const settings = parseSettingsBackup(await file.text())
+    const count = mergeSettingsBackup(settings)
+    /* no await */ toast.say(formatIntl('intl.settingsImported', { count }))
+  } catch (e) {
+    console.error(e)
+    /* no await */ toast.say(formatIntl('intl.unableToImportSettings', { error: (e.message || '') }))
+  }
+}
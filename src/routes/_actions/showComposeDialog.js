@@ -2,6 +2,10 @@ import { store } from '../_store/store.js'
 import { importShowComposeDialog } from '../_components/dialog/asyncDialogs/importShowComposeDialog.js'
 import { database } from '../_database/database.js'
 import { doMediaUpload } from './media.js'
+import { getStatus } from '../_api/statuses.js'
+import { getReplyHandles, setReplySpoiler, setReplyVisibility } from './compose.js'
+import { toast } from '../_components/toast/toast.js'
+import { formatIntl } from '../_utils/formatIntl.js'
 
 // show a compose dialog, typically invoked by the Web Share API or a PWA shortcut
 export async function showComposeDialog () {
@@ -31,6 +35,41 @@ export async function showComposeDialog () {
 
   showComposeDialog()
   if (file) { // start the upload once the dialog is in view so it shows the loading spinner and everything
-    /* no await */ doMediaUpload('dialog', file)
+    const { keepOriginalMedia } = store.get()
+    /* no await */ doMediaUpload('dialog', file, keepOriginalMedia)
   }
 }
+
+// show a compose dialog replying to a status, invoked by the reply action on a push notification
+// when the browser doesn't support inline replies (or when posting the inline reply failed)
+export async function showReplyComposeDialog (statusId, text) {
+  const { isUserLoggedIn, currentInstance, accessToken } = store.get()
+  if (!isUserLoggedIn) {
+    return
+  }
+  const importShowComposeDialogPromise = importShowComposeDialog() // start promise early
+
+  let status
+  try {
+    status = await getStatus(currentInstance, accessToken, statusId)
+  } catch (e) {
+    console.error(e)
+    /* no await */ toast.say(formatIntl('intl.unableToReply', { error: (e.message || '') }))
+    return
+  }
+
+  store.clearComposeData('dialog')
+  store.setComposeData('dialog', {
+    text: getReplyHandles(status) + (text || ''),
+    inReplyToId: status.id,
+    inReplyToHandle: '@' + status.account.acct
+  })
+  if (status.spoiler_text) {
+    setReplySpoiler('dialog', status.spoiler_text)
+  }
+  setReplyVisibility('dialog', status.visibility)
+  store.save()
+
+  const showComposeDialog = await importShowComposeDialogPromise
+  showComposeDialog()
+}
@@ -3,17 +3,29 @@ import { deleteStatus } from '../deleteStatuses.js'
 import { addStatusOrNotification } from '../addStatusOrNotification.js'
 import { emit } from '../../_utils/eventBus.ts'
 import { updateStatus } from '../updateStatus.js'
+import { getTimelineForStream } from '../../_api/stream/getStreamUrl.ts'
+import { addOrUpdateAnnouncement, deleteAnnouncement, updateAnnouncementReactionCount } from '../announcements.js'
+import { addOrUpdateConversation } from '../conversations.js'
 
-const KNOWN_EVENTS = ['update', 'delete', 'notification', 'conversation', 'filters_changed', 'status.update']
+const KNOWN_EVENTS = [
+  'update', 'delete', 'notification', 'conversation', 'filters_changed', 'status.update',
+  'announcement', 'announcement.reaction', 'announcement.delete'
+]
+const JSON_EVENTS = ['update', 'notification', 'conversation', 'status.update', 'announcement', 'announcement.reaction']
 
+// timelineName is the timeline that the connection is for, or null if it's a multiplexed one, in which
+// case the message's "stream" field says which timeline it's for, e.g. ["hashtag", "foo"]
 export function processMessage (instanceName, timelineName, message) {
-  let { event, payload } = (message || {})
-  if (!KNOWN_EVENTS.includes(event)) {
+  let { event, payload, stream } = (message || {})
+  if (!timelineName && Array.isArray(stream)) {
+    timelineName = getTimelineForStream(stream)
+  }
+  if (!KNOWN_EVENTS.includes(event) || !timelineName) {
     console.warn('ignoring message from server', message)
     return
   }
   mark('processMessage')
-  if (['update', 'notification', 'conversation', 'status.update'].includes(event)) {
+  if (JSON_EVENTS.includes(event)) {
     payload = JSON.parse(payload) // only these payloads are JSON-encoded for some reason
   }
 
@@ -31,13 +43,9 @@ export function processMessage (instanceName, timelineName, message) {
       }
       break
     case 'conversation':
-      // This is a hack in order to mostly fit the conversation model into
-      // a timeline of statuses. To have a clean implementation we would need to
-      // reproduce what is done for statuses for the conversation.
-      //
-      // It will add new DMs as new conversations instead of updating existing threads
+      addOrUpdateConversation(instanceName, payload)
+      // the "direct" timeline, i.e. the deck's column, is still the conversations' latest statuses
       if (payload.last_status) {
-        // If the last_status doesn't exist, just ignore it. There's not much we can do in that case
         addStatusOrNotification(instanceName, timelineName, payload.last_status)
       }
       break
@@ -47,6 +55,15 @@ export function processMessage (instanceName, timelineName, message) {
     case 'status.update':
       updateStatus(instanceName, payload)
       break
+    case 'announcement':
+      addOrUpdateAnnouncement(instanceName, payload)
+      break
+    case 'announcement.reaction':
+      updateAnnouncementReactionCount(instanceName, payload)
+      break
+    case 'announcement.delete':
+      deleteAnnouncement(instanceName, payload)
+      break
   }
   stop('processMessage')
 }
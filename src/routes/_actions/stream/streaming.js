@@ -1,8 +1,58 @@
 import { TimelineStream } from '../../_api/stream/TimelineStream.js'
+import { MultiplexedStream } from '../../_api/stream/MultiplexedStream.js'
 import { processMessage } from './processMessage.js'
 import { fillStreamingGap } from './fillStreamingGap.js'
 import { store } from '../../_store/store.js'
+import { getInstanceCapabilities, DEFAULT_CAPABILITIES } from '../../_utils/instanceCapabilities.ts'
 
+// instance name -> the MultiplexedStream shared by all of the instance's timelines
+const multiplexedStreams = new Map()
+
+export function getStreamingApi (instanceInfo) {
+  if (instanceInfo?.configuration?.urls?.streaming) {
+    return instanceInfo.configuration.urls.streaming
+  }
+  return instanceInfo.urls.streaming_api
+}
+
+// home and notifications are handled by the instance-wide stream, see instanceObservers.js
+export function timelineCanStream (timeline) {
+  return !!timeline && (
+    timeline === 'local' ||
+    timeline === 'federated' ||
+    timeline === 'direct' ||
+    timeline.startsWith('list/') ||
+    timeline.startsWith('tag/')
+  )
+}
+
+function supportsMultiplexedStreaming (instanceName) {
+  const { instanceInfos } = store.get()
+  return (getInstanceCapabilities(instanceInfos[instanceName]) || DEFAULT_CAPABILITIES).multiplexedStreaming
+}
+
+function getMultiplexedStream (api, instanceName, accessToken) {
+  const existing = multiplexedStreams.get(instanceName)
+  if (existing && existing.accessToken === accessToken) {
+    return existing.stream
+  }
+  console.log(`streaming ${instanceName}: opening multiplexed stream`)
+  const stream = new MultiplexedStream(api, accessToken)
+  // messages are routed to timelines by their "stream" field
+  stream.on('message', message => processMessage(instanceName, null, message))
+  stream.on('empty', () => {
+    console.log(`streaming ${instanceName}: closing multiplexed stream`)
+    stream.close()
+    if (multiplexedStreams.get(instanceName)?.stream === stream) {
+      multiplexedStreams.delete(instanceName)
+    }
+  })
+  multiplexedStreams.set(instanceName, { stream, accessToken })
+  return stream
+}
+
+// Returns something with on() and close(). On servers that support it, that's a subscription to
+// the instance's one multiplexed stream, otherwise a TimelineStream with its own connection.
 export function createStream (api, instanceName, accessToken, timelineName, firstStatusId, firstNotificationId) {
   console.log(`streaming ${instanceName} ${timelineName}: createStream`, 'firstStatusId', firstStatusId,
     'firstNotificationId', firstNotificationId)
@@ -14,10 +64,6 @@ export function createStream (api, instanceName, accessToken, timelineName, firs
     }
   }
 
-  const onMessage = message => {
-    processMessage(instanceName, timelineName, message)
-  }
-
   const onOpen = () => {
     console.log(`streaming ${instanceName} ${timelineName}: opened`)
     fillGap(timelineName, firstStatusId)
@@ -44,8 +90,13 @@ export function createStream (api, instanceName, accessToken, timelineName, firs
     }
   }
 
-  const stream = new TimelineStream(api, accessToken, timelineName)
-  stream.on('message', onMessage)
+  let stream
+  if (supportsMultiplexedStreaming(instanceName)) {
+    stream = getMultiplexedStream(api, instanceName, accessToken).subscribe(timelineName)
+  } else {
+    stream = new TimelineStream(api, accessToken, timelineName)
+    stream.on('message', message => processMessage(instanceName, timelineName, message))
+  }
   stream.on('open', onOpen)
   stream.on('close', onClose)
   stream.on('reconnect', onReconnect)
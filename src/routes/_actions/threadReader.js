@@ -0,0 +1,40 @@
+import { store } from '../_store/store.js'
+import { getStatus, getStatusContext } from '../_api/statuses.js'
+import { compareTimelineItemSummaries } from '../_utils/statusIdSorting.js'
+import { rehydrateStatusOrNotification } from './rehydrateStatusOrNotification.js'
+
+// Split a thread into the chain of posts where the author of the first post keeps replying to
+// themselves, and everything else. If the author replied to the same post more than once,
+// we follow the earliest reply.
+export function unrollThread (statuses) {
+  const root = statuses.find(status => !statuses.some(_ => _.id === status.in_reply_to_id))
+  if (!root) {
+    return { chain: [], others: statuses }
+  }
+  const authorId = root.account.id
+  const chain = [root]
+  let current = root
+  while (true) {
+    const next = statuses
+      .filter(status => status.in_reply_to_id === current.id && status.account.id === authorId)
+      .sort(compareTimelineItemSummaries)[0]
+    if (!next) {
+      break
+    }
+    chain.push(next)
+    current = next
+  }
+  const others = statuses.filter(status => !chain.includes(status))
+  return { chain, others }
+}
+
+export async function fetchUnrolledThread (statusId) {
+  const { currentInstance, accessToken } = store.get()
+  const [status, context] = await Promise.all([
+    getStatus(currentInstance, accessToken, statusId),
+    getStatusContext(currentInstance, accessToken, statusId)
+  ])
+  const statuses = [...context.ancestors, status, ...context.descendants]
+  await Promise.all(statuses.map(status => rehydrateStatusOrNotification({ status })))
+  return unrollThread(statuses)
+}
@@ -14,6 +14,7 @@ import { addStatusesOrNotifications } from './addStatusOrNotification.js'
 import { scheduleIdleTask } from '../_utils/scheduleIdleTask.js'
 import { sortItemSummariesForThread, sortItemSummariesForNotificationBatch } from '../_utils/sortItemSummaries.ts'
 import { rehydrateStatusOrNotification } from './rehydrateStatusOrNotification.js'
+import { getLastIdFromItemSummaries } from '../_utils/getIdFromItemSummaries.js'
 import li from 'li'
 
 async function storeFreshTimelineItemsInDatabase (instanceName, timelineName, items) {
@@ -125,13 +126,15 @@ export async function addPagedTimelineItemSummaries (instanceName, timelineName,
 }
 
 async function fetchPagedItems (instanceName, accessToken, timelineName) {
-  const { timelineNextPageId } = store.get()
+  const timelineNextPageId = store.getForTimeline(instanceName, timelineName, 'timelineNextPageId')
   console.log('saved timelineNextPageId', timelineNextPageId)
   const { items, headers } = await getTimeline(instanceName, accessToken, timelineName, timelineNextPageId, null, TIMELINE_BATCH_SIZE)
   const linkHeader = headers.get('Link')
   const parsedLinkHeader = li.parse(linkHeader)
   const nextUrl = parsedLinkHeader && parsedLinkHeader.next
-  const nextId = nextUrl && (new URL(nextUrl)).searchParams.get('max_id')
+  const nextParams = nextUrl && (new URL(nextUrl)).searchParams
+  // the offset is for trending statuses, see getTimeline()
+  const nextId = nextParams && (nextParams.get('max_id') || nextParams.get('offset'))
   console.log('new timelineNextPageId', nextId)
   store.setForTimeline(instanceName, timelineName, { timelineNextPageId: nextId })
   await storeFreshTimelineItemsInDatabase(instanceName, timelineName, items)
@@ -140,7 +143,9 @@ async function fetchPagedItems (instanceName, accessToken, timelineName) {
 
 async function fetchTimelineItems (instanceName, accessToken, timelineName, online) {
   mark('fetchTimelineItems')
-  const { lastTimelineItemId } = store.get()
+  const lastTimelineItemId = getLastIdFromItemSummaries(
+    store.getForTimeline(instanceName, timelineName, 'timelineItemSummaries')
+  )
   let items
   let stale = false
   if (!online) {
@@ -193,52 +198,52 @@ export async function addTimelineItemSummaries (instanceName, timelineName, newS
   }
 }
 
-async function fetchTimelineItemsAndPossiblyFallBack () {
+async function fetchTimelineItemsAndPossiblyFallBack (instanceName, timelineName) {
   console.log('fetchTimelineItemsAndPossiblyFallBack')
   mark('fetchTimelineItemsAndPossiblyFallBack')
-  const {
-    currentTimeline,
-    currentInstance,
-    accessToken,
-    online
-  } = store.get()
+  const { loggedInInstances, online } = store.get()
+  const accessToken = loggedInInstances[instanceName].access_token
 
-  if (currentTimeline === 'favorites' || currentTimeline === 'bookmarks') {
+  if (timelineName === 'favorites' || timelineName === 'bookmarks' || timelineName === 'trending') {
     // Always fetch favorites from the network, we currently don't have a good way of storing
-    // these in IndexedDB because of "internal ID" system Mastodon uses to paginate these
-    await fetchPagedItems(currentInstance, accessToken, currentTimeline)
+    // these in IndexedDB because of "internal ID" system Mastodon uses to paginate these.
+    // Trending statuses aren't in ID order either.
+    await fetchPagedItems(instanceName, accessToken, timelineName)
   } else {
-    const { items, stale } = await fetchTimelineItems(currentInstance, accessToken, currentTimeline, online)
-    await addTimelineItems(currentInstance, currentTimeline, items, stale)
+    const { items, stale } = await fetchTimelineItems(instanceName, accessToken, timelineName, online)
+    await addTimelineItems(instanceName, timelineName, items, stale)
   }
   stop('fetchTimelineItemsAndPossiblyFallBack')
 }
 
-export async function setupTimeline () {
+// Like setupTimeline(), but for a timeline that isn't necessarily the current one (e.g. a deck column)
+export async function setupTimelineForInstance (instanceName, timelineName) {
   console.log('setupTimeline')
   mark('setupTimeline')
   // If we don't have any item summaries, or if the current item summaries are stale
   // (i.e. via offline mode), then we need to re-fetch
   // Also do this if it's a thread, because threads change pretty frequently and
   // we don't have a good way to update them.
-  const {
-    timelineItemSummaries,
-    timelineItemSummariesAreStale,
-    currentTimeline
-  } = store.get()
-  console.log({ timelineItemSummaries, timelineItemSummariesAreStale, currentTimeline })
+  const timelineItemSummaries = store.getForTimeline(instanceName, timelineName, 'timelineItemSummaries')
+  const timelineItemSummariesAreStale = store.getForTimeline(instanceName, timelineName, 'timelineItemSummariesAreStale')
+  console.log({ timelineItemSummaries, timelineItemSummariesAreStale, timelineName })
   if (!timelineItemSummaries ||
     timelineItemSummariesAreStale ||
-    currentTimeline.startsWith('status/')) {
-    await fetchTimelineItemsAndPossiblyFallBack()
+    timelineName.startsWith('status/')) {
+    await fetchTimelineItemsAndPossiblyFallBack(instanceName, timelineName)
   }
   stop('setupTimeline')
 }
 
+export async function setupTimeline () {
+  const { currentInstance, currentTimeline } = store.get()
+  await setupTimelineForInstance(currentInstance, currentTimeline)
+}
+
 export async function fetchMoreItemsAtBottomOfTimeline (instanceName, timelineName) {
   console.log('setting runningUpdate: true')
   store.setForTimeline(instanceName, timelineName, { runningUpdate: true })
-  await fetchTimelineItemsAndPossiblyFallBack()
+  await fetchTimelineItemsAndPossiblyFallBack(instanceName, timelineName)
   console.log('setting runningUpdate: false')
   store.setForTimeline(instanceName, timelineName, { runningUpdate: false })
 }
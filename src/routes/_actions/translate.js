@@ -1,24 +1,66 @@
 import { importGoogleTranslate } from '../_utils/asyncModules/importGoogleTranslate.js'
+import { importLibreTranslate } from '../_utils/asyncModules/importLibreTranslate.js'
 import { store } from '../_store/store.js'
 import escapeHtml from 'escape-html'
 import { renderPostHTML } from '../_utils/renderPostHTML.ts'
-async function translate (html, to, from) {
-  const { sourceLanguageNames, translate } = await importGoogleTranslate()
-  return { content: await translate(html, to, from), sourceLanguageNames }
+import { emojifyText } from '../_utils/emojifyText.js'
+import { translateStatus as translateStatusOnInstance } from '../_api/translate.js'
+import { getLanguageName, toIsoLanguageCode } from '../_static/translationLanguages.js'
+import { LOCALE } from '../_static/intl.js'
+
+// Each provider translates the HTML of a post (with the content warning in a span.spoiler_text)
+// and resolves to { html, spoiler, detected }, where html and spoiler are sanitized HTML
+// and detected is the language code of the source language, if it was detected.
+const providers = {
+  async instance ({ status, instanceName, to, emojis }) {
+    // the instance translates the content warning separately, and doesn't let us pick the source language
+    const { loggedInInstances, autoplayGifs } = store.get()
+    const accessToken = loggedInInstances[instanceName].access_token
+    const translation = await translateStatusOnInstance(instanceName, accessToken, status.id, toIsoLanguageCode(to))
+    return {
+      html: renderPostHTML({ content: translation.content, tags: status.tags, autoplayGifs, emojis }),
+      spoiler: translation.spoiler_text
+        ? emojifyText(escapeHtml(translation.spoiler_text), status.emojis, autoplayGifs)
+        : undefined,
+      detected: translation.detected_source_language
+    }
+  },
+  async libretranslate ({ html, to, from }) {
+    const { libreTranslateUrl, libreTranslateApiKey } = store.get()
+    const { translate } = await importLibreTranslate()
+    return translate(html, toIsoLanguageCode(to), toIsoLanguageCode(from), libreTranslateUrl, libreTranslateApiKey)
+  },
+  async custom ({ html, to, from }) {
+    const { customTranslationUrl } = store.get()
+    if (!customTranslationUrl) {
+      throw new Error('no custom translation URL set')
+    }
+    const { createSimplyTranslate } = await importGoogleTranslate()
+    return createSimplyTranslate(customTranslationUrl)(html, to, from)
+  },
+  async google ({ html, to, from }) {
+    const { translate } = await importGoogleTranslate()
+    return translate(html, to, from)
+  }
 }
-const defaultLanguage = process.env.LOCALE.split('-')[0]
+
 export function translateStatus (
   status,
   currentInstance,
-  to = defaultLanguage,
+  to,
   from = 'auto'
 ) {
   const id = currentInstance + '-' + status.id
   const {
     statusTranslations,
     statusTranslationContents,
-    autoplayGifs
+    autoplayGifs,
+    translationProvider,
+    translationTargetLanguage
   } = store.get()
+  // posts are only sent to a third party once the user has picked one
+  const provider = providers[translationProvider] ? translationProvider : 'instance'
+  to = to || translationTargetLanguage || LOCALE.split('-')[0]
   statusTranslations[id] = statusTranslations[id] || {}
   statusTranslations[id].show = true
   if (
@@ -26,37 +68,36 @@ export function translateStatus (
       statusTranslations[id].loading ||
       (statusTranslationContents[id] &&
         statusTranslations[id].to === to &&
-        statusTranslations[id].from === from)
+        statusTranslations[id].from === from &&
+        statusTranslations[id].provider === provider)
     )
   ) {
     statusTranslations[id].loading = true
     statusTranslations[id].error = false
     statusTranslations[id].to = to
     statusTranslations[id].from = from
+    statusTranslations[id].provider = provider
     const emojis = new Map()
     if (status.emojis) {
       for (const emoji of status.emojis) {
         emojis.set(emoji.shortcode, emoji)
       }
     }
-    translate(
-      (status.spoiler_text
-        ? renderPostHTML({
-          content: '<span class="spoiler_text">' +
-            escapeHtml(status.spoiler_text) +
-            '\n\n</span>',
-          tags: status.tags,
-          autoplayGifs,
-          emojis
-        })
-        : '') + status.content,
-      to,
-      from
-    )
-      .then(({ content, sourceLanguageNames }) => {
+    const html = (status.spoiler_text
+      ? renderPostHTML({
+        content: '<span class="spoiler_text">' +
+          escapeHtml(status.spoiler_text) +
+          '\n\n</span>',
+        tags: status.tags,
+        autoplayGifs,
+        emojis
+      })
+      : '') + status.content
+    providers[provider]({ status, instanceName: currentInstance, html, to, from, emojis })
+      .then(content => {
         const { statusTranslations, statusTranslationContents } = store.get()
         statusTranslations[id].loading = false
-        statusTranslations[id].sourceLanguageNames = sourceLanguageNames
+        statusTranslations[id].fromName = getLanguageName(content.detected || from)
         statusTranslationContents[id] = content
         store.set({ statusTranslations, statusTranslationContents })
       })
@@ -0,0 +1,77 @@
+import { get, post, del, paramsString, DEFAULT_TIMEOUT, WRITE_TIMEOUT } from '../_utils/ajax.js'
+import { auth, basename } from './utils.js'
+
+// The Mastodon admin API. It needs the admin:read and admin:write scopes, and a role that
+// allows the action, see _utils/staffPermissions.js
+
+// unresolved reports, unless resolved is true
+export function getReports (instanceName, accessToken, { resolved = false, maxId, limit = 20 } = {}) {
+  const params = { limit }
+  if (resolved) {
+    // Mastodon only looks at whether this is there, not at its value
+    params.resolved = true
+  }
+  if (maxId) {
+    params.max_id = maxId
+  }
+  const url = `${basename(instanceName)}/api/v1/admin/reports?` + paramsString(params)
+  return get(url, auth(accessToken), { timeout: DEFAULT_TIMEOUT })
+}
+
+export function getReport (instanceName, accessToken, reportId) {
+  const url = `${basename(instanceName)}/api/v1/admin/reports/${reportId}`
+  return get(url, auth(accessToken), { timeout: DEFAULT_TIMEOUT })
+}
+
+// action is one of "resolve", "reopen", "assign_to_self" or "unassign". Resolves to the updated report
+export function updateReport (instanceName, accessToken, reportId, action) {
+  const url = `${basename(instanceName)}/api/v1/admin/reports/${reportId}/${action}`
+  return post(url, null, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
+
+// local accounts that are waiting for approval
+export function getPendingAccounts (instanceName, accessToken) {
+  const url = `${basename(instanceName)}/api/v1/admin/accounts?` + paramsString({ local: true, pending: true, limit: 100 })
+  return get(url, auth(accessToken), { timeout: DEFAULT_TIMEOUT })
+}
+
+// the admin view of an account, i.e. { id, domain, email, ip, approved, silenced, suspended, sensitized, account, ... }
+export function getAdminAccount (instanceName, accessToken, accountId) {
+  const url = `${basename(instanceName)}/api/v1/admin/accounts/${accountId}`
+  return get(url, auth(accessToken), { timeout: DEFAULT_TIMEOUT })
+}
+
+// action is { type, report_id, text, send_email_notification }, where type is one of "none",
+// "sensitive", "disable", "silence" or "suspend". Resolves the report, if there is one.
+export function performAccountAction (instanceName, accessToken, accountId, action) {
+  const url = `${basename(instanceName)}/api/v1/admin/accounts/${accountId}/action`
+  return post(url, action, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
+
+// action is one of "approve", "reject", "unsilence", "unsuspend" or "unsensitive". Rejecting a
+// pending account deletes it.
+export function updateAccount (instanceName, accessToken, accountId, action) {
+  const url = `${basename(instanceName)}/api/v1/admin/accounts/${accountId}/${action}`
+  return post(url, null, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
+
+export function getDomainBlocks (instanceName, accessToken, { maxId, limit = 200 } = {}) {
+  const params = { limit }
+  if (maxId) {
+    params.max_id = maxId
+  }
+  const url = `${basename(instanceName)}/api/v1/admin/domain_blocks?` + paramsString(params)
+  return get(url, auth(accessToken), { timeout: DEFAULT_TIMEOUT })
+}
+
+// domainBlock is { domain, severity, reject_media, reject_reports, private_comment, public_comment },
+// where severity is one of "noop", "silence" or "suspend"
+export function createDomainBlock (instanceName, accessToken, domainBlock) {
+  const url = `${basename(instanceName)}/api/v1/admin/domain_blocks`
+  return post(url, domainBlock, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
+
+export function deleteDomainBlock (instanceName, accessToken, domainBlockId) {
+  const url = `${basename(instanceName)}/api/v1/admin/domain_blocks/${domainBlockId}`
+  return del(url, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
@@ -0,0 +1,24 @@
+import { get, post, put, del, DEFAULT_TIMEOUT, WRITE_TIMEOUT } from '../_utils/ajax.js'
+import { auth, basename } from './utils.js'
+
+// the active announcements that the user hasn't dismissed
+export function getAnnouncements (instanceName, accessToken) {
+  const url = `${basename(instanceName)}/api/v1/announcements`
+  return get(url, auth(accessToken), { timeout: DEFAULT_TIMEOUT })
+}
+
+export function dismissAnnouncement (instanceName, accessToken, announcementId) {
+  const url = `${basename(instanceName)}/api/v1/announcements/${announcementId}/dismiss`
+  return post(url, null, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
+
+// name is a unicode emoji, or the shortcode of a custom emoji without the colons
+export function addAnnouncementReaction (instanceName, accessToken, announcementId, name) {
+  const url = `${basename(instanceName)}/api/v1/announcements/${announcementId}/reactions/${encodeURIComponent(name)}`
+  return put(url, null, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
+
+export function removeAnnouncementReaction (instanceName, accessToken, announcementId, name) {
+  const url = `${basename(instanceName)}/api/v1/announcements/${announcementId}/reactions/${encodeURIComponent(name)}`
+  return del(url, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
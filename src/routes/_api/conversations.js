@@ -0,0 +1,24 @@
+import { getWithHeaders, post, del, paramsString, DEFAULT_TIMEOUT, WRITE_TIMEOUT } from '../_utils/ajax.js'
+import { auth, basename } from './utils.js'
+
+// conversations are { id, unread, accounts, last_status }, newest first. Returns the headers too,
+// because the next page is in the Link header.
+export function getConversations (instanceName, accessToken, maxId, limit = 20) {
+  const params = { limit }
+  if (maxId) {
+    params.max_id = maxId
+  }
+  const url = `${basename(instanceName)}/api/v1/conversations?` + paramsString(params)
+  return getWithHeaders(url, auth(accessToken), { timeout: DEFAULT_TIMEOUT })
+}
+
+export function markConversationAsRead (instanceName, accessToken, conversationId) {
+  const url = `${basename(instanceName)}/api/v1/conversations/${conversationId}/read`
+  return post(url, null, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
+
+// only removes it for the user, the statuses stay
+export function deleteConversation (instanceName, accessToken, conversationId) {
+  const url = `${basename(instanceName)}/api/v1/conversations/${conversationId}`
+  return del(url, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
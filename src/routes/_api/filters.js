@@ -1,6 +1,9 @@
 import { get, DEFAULT_TIMEOUT, post, WRITE_TIMEOUT, put, del } from '../_utils/ajax.js'
 import { auth, basename } from './utils.js'
 
+// v1 filters are a single phrase that always hides matching posts. v2 filters have a title,
+// several keywords, a filter_action of "warn" or "hide", and can also match specific statuses.
+
 export async function getFilters (instanceName, accessToken) {
   const url = `${basename(instanceName)}/api/v1/filters`
   const filters = await get(url, auth(accessToken), { timeout: DEFAULT_TIMEOUT })
@@ -22,3 +25,37 @@ export function deleteFilter (instanceName, accessToken, id) {
   const url = `${basename(instanceName)}/api/v1/filters/${id}`
   return del(url, auth(accessToken), { timeout: WRITE_TIMEOUT })
 }
+
+export async function getFiltersV2 (instanceName, accessToken) {
+  const url = `${basename(instanceName)}/api/v2/filters`
+  const filters = await get(url, auth(accessToken), { timeout: DEFAULT_TIMEOUT })
+  return Array.isArray(filters) ? filters : []
+}
+
+// filter is { title, context, filter_action, expires_in, keywords_attributes }, where each of
+// keywords_attributes is { id, keyword, whole_word, _destroy }
+export function createFilterV2 (instanceName, accessToken, filter) {
+  const url = `${basename(instanceName)}/api/v2/filters`
+  return post(url, filter, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
+
+export function updateFilterV2 (instanceName, accessToken, id, filter) {
+  const url = `${basename(instanceName)}/api/v2/filters/${id}`
+  return put(url, filter, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
+
+export function deleteFilterV2 (instanceName, accessToken, id) {
+  const url = `${basename(instanceName)}/api/v2/filters/${id}`
+  return del(url, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
+
+export function addStatusToFilter (instanceName, accessToken, filterId, statusId) {
+  const url = `${basename(instanceName)}/api/v2/filters/${filterId}/statuses`
+  return post(url, { status_id: statusId }, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
+
+// id is the id of the FilterStatus, not of the status itself
+export function removeStatusFromFilter (instanceName, accessToken, id) {
+  const url = `${basename(instanceName)}/api/v2/filters/statuses/${id}`
+  return del(url, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
@@ -12,9 +12,11 @@ export async function getInstanceInfo (instanceName, accessToken) {
   v1Instance.catch(() => {})
   try {
     instance = await v2Instance
+    instance.instanceApiVersion = 2
     controller.abort()
   } catch (e) {
     instance = await v1Instance
+    instance.instanceApiVersion = 1
   }
   instance.nodeInfo = null
   try {
@@ -1,4 +1,4 @@
-import { get, DEFAULT_TIMEOUT, post, WRITE_TIMEOUT } from '../_utils/ajax.js'
+import { get, DEFAULT_TIMEOUT, post, put, del, paramsString, WRITE_TIMEOUT } from '../_utils/ajax.js'
 import { auth, basename } from './utils.js'
 
 export function getLists (instanceName, accessToken) {
@@ -6,7 +6,40 @@ export function getLists (instanceName, accessToken) {
   return get(url, auth(accessToken), { timeout: DEFAULT_TIMEOUT })
 }
 
-export function createList (instanceName, accessToken, title) {
+// list is { title, replies_policy, exclusive }, where replies_policy is one of "followed", "list" or "none"
+export function createList (instanceName, accessToken, list) {
   const url = `${basename(instanceName)}/api/v1/lists`
-  return post(url, { title }, auth(accessToken), { timeout: WRITE_TIMEOUT })
+  return post(url, list, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
+
+export function updateList (instanceName, accessToken, listId, list) {
+  const url = `${basename(instanceName)}/api/v1/lists/${listId}`
+  return put(url, list, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
+
+export function deleteList (instanceName, accessToken, listId) {
+  const url = `${basename(instanceName)}/api/v1/lists/${listId}`
+  return del(url, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
+
+export function getListAccounts (instanceName, accessToken, listId) {
+  // limit=0 means no limit, i.e. all the accounts in the list
+  const url = `${basename(instanceName)}/api/v1/lists/${listId}/accounts?limit=0`
+  return get(url, auth(accessToken), { timeout: DEFAULT_TIMEOUT })
+}
+
+export function addAccountsToList (instanceName, accessToken, listId, accountIds) {
+  const url = `${basename(instanceName)}/api/v1/lists/${listId}/accounts`
+  return post(url, { account_ids: accountIds }, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
+
+export function removeAccountsFromList (instanceName, accessToken, listId, accountIds) {
+  const url = `${basename(instanceName)}/api/v1/lists/${listId}/accounts?` + paramsString({ account_ids: accountIds })
+  return del(url, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
+
+// the lists that the account is in
+export function getAccountLists (instanceName, accessToken, accountId) {
+  const url = `${basename(instanceName)}/api/v1/accounts/${accountId}/lists`
+  return get(url, auth(accessToken), { timeout: DEFAULT_TIMEOUT })
 }
@@ -0,0 +1,15 @@
+import { get, post, paramsString, DEFAULT_TIMEOUT, WRITE_TIMEOUT } from '../_utils/ajax.js'
+import { auth, basename } from './utils.js'
+
+// Resolves to e.g. { home: { last_read_id, version, updated_at }, notifications: { ... } }. Timelines
+// without a marker are left out.
+export function getMarkers (instanceName, accessToken, timelines) {
+  const url = `${basename(instanceName)}/api/v1/markers?` + paramsString({ timeline: timelines })
+  return get(url, auth(accessToken), { timeout: DEFAULT_TIMEOUT })
+}
+
+// markers is e.g. { home: { last_read_id }, notifications: { last_read_id } }
+export function saveMarkers (instanceName, accessToken, markers) {
+  const url = `${basename(instanceName)}/api/v1/markers`
+  return post(url, markers, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
@@ -1,14 +1,14 @@
 import { auth, basename } from './utils.js'
-import { post, put, MEDIA_WRITE_TIMEOUT, WRITE_TIMEOUT } from '../_utils/ajax.js'
+import { get, postWithProgress, put, DEFAULT_TIMEOUT, MEDIA_WRITE_TIMEOUT, WRITE_TIMEOUT } from '../_utils/ajax.js'
 
-async function doUploadMedia (version, instanceName, accessToken, file, description) {
+async function doUploadMedia (version, instanceName, accessToken, file, description, signal, onProgress) {
   const formData = new FormData()
   formData.append('file', file)
   if (description) {
     formData.append('description', description)
   }
   const url = `${basename(instanceName)}/api/${version}/media`
-  return post(url, formData, auth(accessToken), { timeout: MEDIA_WRITE_TIMEOUT })
+  return postWithProgress(url, formData, auth(accessToken), { timeout: MEDIA_WRITE_TIMEOUT, signal, onProgress })
 }
 
 async function doPutMediaMetadata (version, instanceName, accessToken, mediaId, description, focus) {
@@ -16,12 +16,14 @@ async function doPutMediaMetadata (version, instanceName, accessToken, mediaId,
   return put(url, { description, focus: (focus && focus.join(',')) }, auth(accessToken), { timeout: WRITE_TIMEOUT })
 }
 
-export async function uploadMedia (instanceName, accessToken, file, description) {
+// With /api/v2/media, the server may still be processing the media when it responds, in which
+// case its url is null until getMedia() says otherwise.
+export async function uploadMedia (instanceName, accessToken, file, description, { signal, onProgress } = {}) {
   try {
-    return (await doUploadMedia('v2', instanceName, accessToken, file, description))
+    return (await doUploadMedia('v2', instanceName, accessToken, file, description, signal, onProgress))
   } catch (err) {
     if (err && err.status === 404) { // fall back to old v1 API
-      return doUploadMedia('v1', instanceName, accessToken, file, description)
+      return doUploadMedia('v1', instanceName, accessToken, file, description, signal, onProgress)
     } else {
       throw err
     }
@@ -39,3 +41,8 @@ export async function putMediaMetadata (instanceName, accessToken, mediaId, desc
     }
   }
 }
+
+export function getMedia (instanceName, accessToken, mediaId) {
+  const url = `${basename(instanceName)}/api/v1/media/${mediaId}`
+  return get(url, auth(accessToken), { timeout: DEFAULT_TIMEOUT })
+}
@@ -1,30 +1,33 @@
 import { post, paramsString, WRITE_TIMEOUT } from '../_utils/ajax.js'
 import { basename } from './utils.js'
+import { CODE_CHALLENGE_METHOD } from '../_utils/pkce.js'
 
 const WEBSITE = 'https://enafore.social'
-const SCOPES = 'read write follow push'
 
-export function registerApplication (instanceName, redirectUri) {
+// the app has to be registered with at least the scopes we later ask for
+export function registerApplication (instanceName, redirectUri, scopes) {
   const url = `${basename(instanceName)}/api/v1/apps`
   return post(url, {
     client_name: process.env.UPSTREAM ? 'Enafore' : ENAFORE_IS_BROWSER ? location.hostname : 'Enafore',
     redirect_uris: redirectUri,
-    scopes: SCOPES,
+    scopes,
     website: ENAFORE_IS_BROWSER ? location.origin : WEBSITE
   }, null, { timeout: WRITE_TIMEOUT })
 }
 
-export function generateAuthLink (instanceName, clientId, redirectUri) {
+export function generateAuthLink (instanceName, clientId, redirectUri, scopes, codeChallenge) {
   const params = paramsString({
     client_id: clientId,
     redirect_uri: redirectUri,
     response_type: 'code',
-    scope: SCOPES
+    scope: scopes,
+    code_challenge: codeChallenge,
+    code_challenge_method: CODE_CHALLENGE_METHOD
   })
   return `${basename(instanceName)}/oauth/authorize?${params}`
 }
 
-export function getAccessTokenFromAuthCode (instanceName, clientId, clientSecret, code, redirectUri) {
+export function getAccessTokenFromAuthCode (instanceName, clientId, clientSecret, code, redirectUri, codeVerifier) {
   const url = `${basename(instanceName)}/oauth/token`
   // Using URLSearchParams here guarantees a content type of application/x-www-form-urlencoded
   // See https://fetch.spec.whatwg.org/#bodyinit-unions
@@ -33,6 +36,16 @@ export function getAccessTokenFromAuthCode (instanceName, clientId, clientSecret
     client_secret: clientSecret,
     redirect_uri: redirectUri,
     grant_type: 'authorization_code',
-    code
+    code,
+    code_verifier: codeVerifier
+  }), null, { timeout: WRITE_TIMEOUT })
+}
+
+export function revokeToken (instanceName, clientId, clientSecret, token) {
+  const url = `${basename(instanceName)}/oauth/revoke`
+  return post(url, new URLSearchParams({
+    client_id: clientId,
+    client_secret: clientSecret,
+    token
   }), null, { timeout: WRITE_TIMEOUT })
 }
@@ -0,0 +1,17 @@
+import { get, put, del, paramsString, DEFAULT_TIMEOUT, WRITE_TIMEOUT } from '../_utils/ajax.js'
+import { auth, basename } from './utils.js'
+
+export function getScheduledStatuses (instanceName, accessToken, limit = 40) {
+  const url = `${basename(instanceName)}/api/v1/scheduled_statuses?` + paramsString({ limit })
+  return get(url, auth(accessToken), { timeout: DEFAULT_TIMEOUT })
+}
+
+export function rescheduleStatus (instanceName, accessToken, scheduledStatusId, scheduledAt) {
+  const url = `${basename(instanceName)}/api/v1/scheduled_statuses/${scheduledStatusId}`
+  return put(url, { scheduled_at: scheduledAt }, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
+
+export function cancelScheduledStatus (instanceName, accessToken, scheduledStatusId) {
+  const url = `${basename(instanceName)}/api/v1/scheduled_statuses/${scheduledStatusId}`
+  return del(url, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
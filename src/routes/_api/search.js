@@ -40,3 +40,40 @@ export async function search (instanceName, accessToken, query, resolve = true,
     }
   }
 }
+
+// One page of results of a single type ('accounts', 'statuses' or 'hashtags'). Only /api/v2/search
+// supports this. Statuses are paged by maxId, the others by offset.
+export function searchByType (instanceName, accessToken, query, type, { offset = 0, maxId, limit = 20, signal = null } = {}) {
+  const params = {
+    q: query,
+    type,
+    // Mastodon doesn't allow resolving remote accounts and posts when paging
+    resolve: !offset && !maxId,
+    limit
+  }
+  if (offset) {
+    params.offset = offset
+  }
+  if (maxId) {
+    params.max_id = maxId
+  }
+  const url = `${basename(instanceName)}/api/v2/search?` + paramsString(params)
+  return get(url, auth(accessToken), {
+    timeout: DEFAULT_TIMEOUT,
+    signal
+  })
+}
+
+// only searches accounts; with following set, only the accounts we follow
+export function searchAccounts (instanceName, accessToken, query, following = false, limit = 10, signal = null) {
+  const url = `${basename(instanceName)}/api/v1/accounts/search?` + paramsString({
+    q: query,
+    resolve: false,
+    following,
+    limit
+  })
+  return get(url, auth(accessToken), {
+    timeout: DEFAULT_TIMEOUT,
+    signal
+  })
+}
@@ -0,0 +1,109 @@
+import { WebSocketClient } from '../../_thirdparty/websocket/websocket.js'
+import { TimelineStream } from './TimelineStream.js'
+import { getMultiplexedStreamUrl, getStreamParams } from './getStreamUrl.ts'
+import { queueMicrotask } from '../../_utils/queueMicrotask.js'
+import mitt from 'mitt'
+
+// One connection to the streaming API, with any number of timelines subscribed to it using
+// Mastodon's "subscribe" and "unsubscribe" messages. Messages are emitted as "message" for the
+// whole connection, with a "stream" field saying which timeline they're for. Each subscription
+// emits "open", "reconnect" and "close" like a TimelineStream does, so that gaps can be filled
+// per timeline. Reconnecting and pausing while frozen or offline is handled by TimelineStream.
+export class MultiplexedStream extends TimelineStream {
+  constructor (streamingApi, accessToken) {
+    super(streamingApi, accessToken, null)
+    this._subscriptions = new Map() // timeline -> Set of StreamSubscriptions
+    this.on('open', () => this._onWebSocketOpen())
+    this.on('reconnect', () => this._onWebSocketOpen())
+    this.on('close', () => this._forEachSubscription(subscription => subscription.emit('close')))
+  }
+
+  _getUrl () {
+    return getMultiplexedStreamUrl(this._streamingApi, this._accessToken)
+  }
+
+  subscribe (timeline) {
+    const subscription = new StreamSubscription(this, timeline)
+    let subscriptions = this._subscriptions.get(timeline)
+    if (!subscriptions) {
+      subscriptions = new Set()
+      this._subscriptions.set(timeline, subscriptions)
+      this._send('subscribe', timeline)
+    }
+    subscriptions.add(subscription)
+    if (this._isOpen()) {
+      // give the caller a chance to listen for it
+      queueMicrotask(() => subscription._onOpen())
+    }
+    return subscription
+  }
+
+  _unsubscribe (subscription) {
+    const { timeline } = subscription
+    const subscriptions = this._subscriptions.get(timeline)
+    if (!subscriptions || !subscriptions.delete(subscription)) {
+      return
+    }
+    if (!subscriptions.size) {
+      this._subscriptions.delete(timeline)
+      this._send('unsubscribe', timeline)
+    }
+    if (!this._subscriptions.size) {
+      this.emit('empty')
+    }
+  }
+
+  _isOpen () {
+    return !!(this._ws && this._ws.readyState === WebSocketClient.OPEN)
+  }
+
+  _send (type, timeline) {
+    // when the connection (re)opens, everything is subscribed to again
+    if (this._isOpen()) {
+      this._ws.send(JSON.stringify({ type, ...getStreamParams(timeline) }))
+    }
+  }
+
+  _onWebSocketOpen () {
+    for (const timeline of this._subscriptions.keys()) {
+      this._send('subscribe', timeline)
+    }
+    this._forEachSubscription(subscription => subscription._onOpen())
+  }
+
+  _forEachSubscription (callback) {
+    for (const subscriptions of this._subscriptions.values()) {
+      for (const subscription of subscriptions) {
+        callback(subscription)
+      }
+    }
+  }
+}
+
+class StreamSubscription {
+  constructor (stream, timeline) {
+    Object.assign(this, mitt())
+    this._stream = stream
+    this.timeline = timeline
+  }
+
+  _onOpen () {
+    if (this._closed) {
+      return
+    }
+    if (!this._opened) {
+      this._opened = true
+      this.emit('open')
+    } else {
+      this.emit('reconnect')
+    }
+  }
+
+  close () {
+    this._closed = true
+    this._stream._unsubscribe(this)
+    for (const event of ['open', 'close', 'reconnect']) {
+      this.off(event)
+    }
+  }
+}
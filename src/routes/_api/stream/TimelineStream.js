@@ -39,9 +39,12 @@ export class TimelineStream {
     }
   }
 
+  _getUrl () {
+    return getStreamUrl(this._streamingApi, this._accessToken, this._timeline)
+  }
+
   _setupWebSocket () {
-    const url = getStreamUrl(this._streamingApi, this._accessToken, this._timeline)
-    const ws = new WebSocketClient(url)
+    const ws = new WebSocketClient(this._getUrl())
 
     ws.onopen = () => {
       if (!this._opened) {
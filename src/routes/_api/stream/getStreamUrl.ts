@@ -1,6 +1,6 @@
 import { paramsString } from '../../_utils/ajax.js'
 
-function getStreamName(timeline: string): string {
+export function getStreamName(timeline: string): string {
   switch (timeline) {
     case 'local':
       return 'public:local'
@@ -22,21 +22,16 @@ function getStreamName(timeline: string): string {
   throw new Error('unknown stream ' + timeline)
 }
 
-export function getStreamUrl(
-  streamingApi: string,
-  accessToken: string,
-  timeline: string,
-): string {
-  const url = `${streamingApi}/api/v1/streaming`
-  const streamName = getStreamName(timeline)
+export interface StreamParams {
+  stream: string
+  tag?: string
+  list?: string
+}
 
-  const params: {
-    stream: string
-    tag?: string
-    list?: string
-    access_token?: string
-  } = {
-    stream: streamName,
+// the stream, tag and list params for a timeline, either in the URL or in a "subscribe" message
+export function getStreamParams(timeline: string): StreamParams {
+  const params: StreamParams = {
+    stream: getStreamName(timeline),
   }
 
   if (timeline.startsWith('tag/')) {
@@ -45,9 +40,56 @@ export function getStreamUrl(
     params.list = timeline.split('/').slice(-1)[0]
   }
 
+  return params
+}
+
+export function getStreamUrl(
+  streamingApi: string,
+  accessToken: string,
+  timeline: string,
+): string {
+  const url = `${streamingApi}/api/v1/streaming`
+
+  const params: StreamParams & { access_token?: string } =
+    getStreamParams(timeline)
+
   if (accessToken) {
     params.access_token = accessToken
   }
 
   return url + '?' + paramsString(params)
 }
+
+// a connection without a stream, which is then subscribed to streams with messages
+export function getMultiplexedStreamUrl(
+  streamingApi: string,
+  accessToken: string,
+): string {
+  const url = `${streamingApi}/api/v1/streaming`
+  if (!accessToken) {
+    return url
+  }
+  return url + '?' + paramsString({ access_token: accessToken })
+}
+
+// The reverse of getStreamParams(), for the "stream" field of a message, e.g. ["user"] or
+// ["hashtag", "foo"]. Undefined if it's not a stream that we subscribe to.
+export function getTimelineForStream(stream: string[]): string | undefined {
+  switch (stream[0]) {
+    case 'public:local':
+      return 'local'
+    case 'public':
+      return 'federated'
+    case 'user':
+      return 'home'
+    case 'user:notification':
+      return 'notifications'
+    case 'direct':
+      return 'direct'
+    case 'hashtag':
+      return stream[1] ? `tag/${stream[1]}` : undefined
+    case 'list':
+      return stream[1] ? `list/${stream[1]}` : undefined
+  }
+  return undefined
+}
@@ -0,0 +1,14 @@
+import { get, del, paramsString, DEFAULT_TIMEOUT, WRITE_TIMEOUT } from '../_utils/ajax.js'
+import { auth, basename } from './utils.js'
+
+// accounts to follow, each as { source, sources, account }
+export function getSuggestions (instanceName, accessToken, limit = 40) {
+  const url = `${basename(instanceName)}/api/v2/suggestions?` + paramsString({ limit })
+  return get(url, auth(accessToken), { timeout: DEFAULT_TIMEOUT })
+}
+
+// don't suggest this account again
+export function deleteSuggestion (instanceName, accessToken, accountId) {
+  const url = `${basename(instanceName)}/api/v1/suggestions/${accountId}`
+  return del(url, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
@@ -20,6 +20,8 @@ function getTimelineUrlPath (timeline) {
       return 'conversations'
     case 'bookmarks':
       return 'bookmarks'
+    case 'trending':
+      return 'trends/statuses'
   }
   if (timeline.startsWith('tag/')) {
     return 'timelines/tag'
@@ -49,7 +51,12 @@ export async function getTimeline (instanceName, accessToken, timeline, maxId, s
   }
 
   if (maxId) {
-    params.max_id = maxId
+    if (timeline === 'trending') {
+      // ordered by how much they're trending rather than by ID, so it's paginated by position
+      params.offset = maxId
+    } else {
+      params.max_id = maxId
+    }
   }
 
   if (limit) {
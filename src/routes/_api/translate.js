@@ -0,0 +1,7 @@
+import { auth, basename } from './utils.js'
+import { post, WRITE_TIMEOUT } from '../_utils/ajax.js'
+
+export async function translateStatus (instanceName, accessToken, statusId, lang) {
+  const url = `${basename(instanceName)}/api/v1/statuses/${statusId}/translate`
+  return post(url, { lang }, auth(accessToken), { timeout: WRITE_TIMEOUT })
+}
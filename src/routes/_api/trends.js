@@ -0,0 +1,16 @@
+import { get, paramsString, DEFAULT_TIMEOUT } from '../_utils/ajax.js'
+import { auth, basename } from './utils.js'
+
+// Trending statuses are fetched like a timeline, see getTimeline() in timelines.js
+
+// hashtags, each with a history of { day, uses, accounts } for the last week, newest first
+export function getTrendingTags (instanceName, accessToken, limit = 20) {
+  const url = `${basename(instanceName)}/api/v1/trends/tags?` + paramsString({ limit })
+  return get(url, auth(accessToken), { timeout: DEFAULT_TIMEOUT })
+}
+
+// preview cards, each with a history like the tags
+export function getTrendingLinks (instanceName, accessToken, limit = 20) {
+  const url = `${basename(instanceName)}/api/v1/trends/links?` + paramsString({ limit })
+  return get(url, auth(accessToken), { timeout: DEFAULT_TIMEOUT })
+}
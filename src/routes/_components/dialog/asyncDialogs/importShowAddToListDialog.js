@@ -0,0 +1,3 @@
+export const importShowAddToListDialog = () => import(
+  '../creators/showAddToListDialog.js'
+).then(mod => mod.default)
@@ -0,0 +1,3 @@
+export const importShowFilterStatusDialog = () => import(
+  '../creators/showFilterStatusDialog.js'
+).then(mod => mod.default)
@@ -0,0 +1,3 @@
+export const importShowSaveDraftDialog = () => import(
+  '../creators/showSaveDraftDialog.js'
+).then(mod => mod.default)
@@ -0,0 +1,3 @@
+export const importShowScheduleStatusDialog = () => import(
+  '../creators/showScheduleStatusDialog.js'
+).then(mod => mod.default)
@@ -0,0 +1,11 @@
+import AddToListDialog from '../components/AddToListDialog.html'
+import { showDialog } from './showDialog.js'
+import { formatIntl } from '../../../_utils/formatIntl.js'
+
+export default function showAddToListDialog (account) {
+  return showDialog(AddToListDialog, {
+    label: 'intl.addToList',
+    title: formatIntl('intl.addAccountToList', { account: `@${account.acct}` }),
+    account
+  })
+}
@@ -0,0 +1,10 @@
+import FilterStatusDialog from '../components/FilterStatusDialog.html'
+import { showDialog } from './showDialog.js'
+
+export default function showFilterStatusDialog (statusId) {
+  return showDialog(FilterStatusDialog, {
+    label: 'intl.filterStatus',
+    title: 'intl.filterStatus',
+    statusId
+  })
+}
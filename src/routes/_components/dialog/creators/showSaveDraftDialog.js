@@ -0,0 +1,10 @@
+import SaveDraftDialog from '../components/SaveDraftDialog.html'
+import { showDialog } from './showDialog.js'
+
+export default function showSaveDraftDialog (realm, name) {
+  return showDialog(SaveDraftDialog, {
+    label: 'intl.saveDraft',
+    realm,
+    name
+  })
+}
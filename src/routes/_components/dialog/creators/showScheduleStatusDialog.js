@@ -0,0 +1,13 @@
+import ScheduleStatusDialog from '../components/ScheduleStatusDialog.html'
+import { showDialog } from './showDialog.js'
+
+// pass either a compose realm, to schedule the status being composed, or the id of an
+// existing scheduled status, to reschedule it
+export default function showScheduleStatusDialog ({ realm, scheduledStatusId, scheduledAt }) {
+  return showDialog(ScheduleStatusDialog, {
+    label: 'intl.schedulePost',
+    realm,
+    scheduledStatusId,
+    scheduledAt
+  })
+}
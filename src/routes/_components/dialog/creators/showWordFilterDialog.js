@@ -2,7 +2,7 @@ import WordFilterDialog from '../components/WordFilterDialog.html'
 import { showDialog } from './showDialog.js'
 
 export default function showReportDialog ({ filter, instanceName }) {
-  const label = filter ? 'intl.editFilter' : 'intl.addFilter'
+  const label = (filter && filter.id) ? 'intl.editFilter' : 'intl.addFilter'
   return showDialog(WordFilterDialog, {
     label,
     title: label,
@@ -25,101 +25,132 @@ class VirtualListStore extends RealmStore {
   }
 }
 
-const virtualListStore = new VirtualListStore()
-
-virtualListStore.computeForRealm('items', null)
-virtualListStore.computeForRealm('showFooter', false)
-virtualListStore.computeForRealm('footerHeight', 0)
-virtualListStore.computeForRealm('showHeader', false)
-virtualListStore.computeForRealm('headerHeight', 0)
-virtualListStore.computeForRealm('scrollTop', 0)
-virtualListStore.computeForRealm('scrollHeight', 0)
-virtualListStore.computeForRealm('offsetHeight', 0)
-virtualListStore.computeForRealm('listOffset', 0)
-virtualListStore.computeForRealm('itemHeights', {})
-
-virtualListStore.compute('rawVisibleItems',
-  ['items', 'scrollTop', 'itemHeights', 'offsetHeight', 'showHeader', 'headerHeight', 'listOffset'],
-  (items, scrollTop, itemHeights, offsetHeight, showHeader, headerHeight, listOffset) => {
-    if (ENAFORE_IS_BROWSER && process.env.NODE_ENV !== 'production') {
-      window.rawVisibleItemsComputed = (window.rawVisibleItemsComputed || 0) + 1
-    }
-    mark('compute visibleItems')
-    if (!items) {
-      return null
-    }
-    const effectiveScrollTop = scrollTop - listOffset
-    const renderBuffer = RENDER_BUFFER_FACTOR * offsetHeight
-    const visibleItems = []
-    let totalOffset = showHeader ? headerHeight : 0
-    const len = items.length
-    let i = -1
-    while (++i < len) {
-      const data = items[i]
-      const height = itemHeights[data.id] || 0
-      const currentOffset = totalOffset
-      totalOffset += height
-      const isAboveViewport = (currentOffset < effectiveScrollTop)
-      if (isAboveViewport) {
-        if ((effectiveScrollTop - height - renderBuffer) > currentOffset) {
-          continue // above the area we want to render
+// Each virtual list needs its own store, because the computed values depend on the
+// current realm. Most lists share the one below, but e.g. deck columns create their own.
+export function createVirtualListStore () {
+  const store = new VirtualListStore()
+
+  store.computeForRealm('items', null)
+  store.computeForRealm('showFooter', false)
+  store.computeForRealm('footerHeight', 0)
+  store.computeForRealm('showHeader', false)
+  store.computeForRealm('headerHeight', 0)
+  store.computeForRealm('scrollTop', 0)
+  store.computeForRealm('scrollHeight', 0)
+  store.computeForRealm('offsetHeight', 0)
+  store.computeForRealm('listOffset', 0)
+  store.computeForRealm('itemHeights', {})
+
+  store.compute('rawVisibleItems',
+    ['items', 'scrollTop', 'itemHeights', 'offsetHeight', 'showHeader', 'headerHeight', 'listOffset'],
+    (items, scrollTop, itemHeights, offsetHeight, showHeader, headerHeight, listOffset) => {
+      if (ENAFORE_IS_BROWSER && process.env.NODE_ENV !== 'production') {
+        window.rawVisibleItemsComputed = (window.rawVisibleItemsComputed || 0) + 1
+      }
+      mark('compute visibleItems')
+      if (!items) {
+        return null
+      }
+      const effectiveScrollTop = scrollTop - listOffset
+      const renderBuffer = RENDER_BUFFER_FACTOR * offsetHeight
+      const visibleItems = []
+      let totalOffset = showHeader ? headerHeight : 0
+      const len = items.length
+      let i = -1
+      while (++i < len) {
+        const data = items[i]
+        const height = itemHeights[data.id] || 0
+        const currentOffset = totalOffset
+        totalOffset += height
+        const isAboveViewport = (currentOffset < effectiveScrollTop)
+        if (isAboveViewport) {
+          if ((effectiveScrollTop - height - renderBuffer) > currentOffset) {
+            continue // above the area we want to render
+          }
+        } else {
+          if (currentOffset > (effectiveScrollTop + offsetHeight + renderBuffer)) {
+            break // below the area we want to render
+          }
         }
-      } else {
-        if (currentOffset > (effectiveScrollTop + offsetHeight + renderBuffer)) {
-          break // below the area we want to render
+        const item = {
+          offset: currentOffset,
+          prev: items[i - 1],
+          data,
+          next: items[i + 1],
+          index: i
         }
+        visibleItems.push(item)
+      }
+      stop('compute visibleItems')
+      return visibleItems
+    })
+
+  reselect(store, 'visibleItems', 'rawVisibleItems')
+
+  store.compute('heightWithoutFooter',
+    ['items', 'itemHeights', 'showHeader', 'headerHeight'],
+    (items, itemHeights, showHeader, headerHeight) => {
+      if (!items) {
+        return 0
       }
-      const item = {
-        offset: currentOffset,
-        prev: items[i - 1],
-        data,
-        next: items[i + 1],
-        index: i
+      let sum = showHeader ? headerHeight : 0
+      let i = -1
+      const len = items.length
+      while (++i < len) {
+        sum += itemHeights[items[i].id] || 0
       }
-      visibleItems.push(item)
-    }
-    stop('compute visibleItems')
-    return visibleItems
-  })
+      return sum
+    })
 
-reselect(virtualListStore, 'visibleItems', 'rawVisibleItems')
+  store.compute('height',
+    ['heightWithoutFooter', 'showFooter', 'footerHeight'],
+    (heightWithoutFooter, showFooter, footerHeight) => {
+      return showFooter ? (heightWithoutFooter + footerHeight) : heightWithoutFooter
+    })
 
-virtualListStore.compute('heightWithoutFooter',
-  ['items', 'itemHeights', 'showHeader', 'headerHeight'],
-  (items, itemHeights, showHeader, headerHeight) => {
-    if (!items) {
-      return 0
-    }
-    let sum = showHeader ? headerHeight : 0
-    let i = -1
-    const len = items.length
-    while (++i < len) {
-      sum += itemHeights[items[i].id] || 0
-    }
-    return sum
-  })
-
-virtualListStore.compute('height',
-  ['heightWithoutFooter', 'showFooter', 'footerHeight'],
-  (heightWithoutFooter, showFooter, footerHeight) => {
-    return showFooter ? (heightWithoutFooter + footerHeight) : heightWithoutFooter
-  })
-
-virtualListStore.compute('length', ['items'], (items) => items ? items.length : 0)
-
-virtualListStore.compute('allVisibleItemsHaveHeight',
-  ['visibleItems', 'itemHeights'],
-  (visibleItems, itemHeights) => {
-    if (!visibleItems) {
-      return false
-    }
-    for (const visibleItem of visibleItems) {
-      if (!itemHeights[visibleItem.data.id]) {
+  store.compute('length', ['items'], (items) => items ? items.length : 0)
+
+  store.compute('allVisibleItemsHaveHeight',
+    ['visibleItems', 'itemHeights'],
+    (visibleItems, itemHeights) => {
+      if (!visibleItems) {
         return false
       }
+      for (const visibleItem of visibleItems) {
+        if (!itemHeights[visibleItem.data.id]) {
+          return false
+        }
+      }
+      return true
+    })
+
+  return store
+}
+
+const virtualListStore = createVirtualListStore()
+
+// The stores of lists that have their own (e.g. deck columns), by realm, so that they remember
+// their scroll position when they're destroyed and created again, like the realms above
+const ownVirtualListStores = new Map()
+
+export function getOwnVirtualListStore (realm) {
+  if (!ownVirtualListStores.has(realm)) {
+    ownVirtualListStores.set(realm, createVirtualListStore())
+  }
+  return ownVirtualListStores.get(realm)
+}
+
+export function deleteOwnVirtualListStore (realm) {
+  ownVirtualListStores.delete(realm)
+}
+
+export function deleteOwnVirtualListStores (prefix) {
+  for (const realm of [...ownVirtualListStores.keys()]) {
+    if (realm.startsWith(prefix)) {
+      ownVirtualListStores.delete(realm)
     }
-    return true
-  })
+  }
+}
 
 if (ENAFORE_IS_BROWSER) {
   window.__virtualListStore = virtualListStore // for debugging
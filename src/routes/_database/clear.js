@@ -1,9 +1,12 @@
 import { accountsCache, clearCache, metaCache, statusesCache } from './cache.js'
 import { deleteDatabase } from './databaseLifecycle.ts'
+import { deleteDraftsForInstance } from './drafts.js'
 
 export async function clearDatabaseForInstance (instanceName) {
   clearCache(statusesCache, instanceName)
   clearCache(accountsCache, instanceName)
   clearCache(metaCache, instanceName)
+  // drafts aren't in the instance's database, see drafts.js
+  await deleteDraftsForInstance(instanceName)
   await deleteDatabase(instanceName)
 }
@@ -12,3 +12,5 @@ export * from './relationships.js'
 export * from './webShare.js'
 export * from './theme.js'
 export * from './mediaUploadFileCache.js'
+export * from './outbox.js'
+export * from './drafts.js'
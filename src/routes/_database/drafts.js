@@ -0,0 +1,33 @@
+// Named drafts, saved per instance. These live in IndexedDB rather than localStorage
+// so that they can hold larger compose states, and so that every open tab sees the same set.
+
+import { get, set, keys, del } from '../_thirdparty/idb-keyval/idb-keyval.js'
+
+const PREFIX = 'draft-'
+
+function draftKey (instanceName, id) {
+  return `${PREFIX}${instanceName}/${id}`
+}
+
+async function getDraftKeys (instanceName) {
+  const prefix = `${PREFIX}${instanceName}/`
+  return (await keys()).filter(key => key.startsWith(prefix))
+}
+
+export async function getDrafts (instanceName) {
+  const draftKeys = await getDraftKeys(instanceName)
+  const drafts = await Promise.all(draftKeys.map(key => get(key)))
+  return drafts.sort((a, b) => b.updatedAt - a.updatedAt)
+}
+
+export async function setDraft (instanceName, draft) {
+  await set(draftKey(instanceName, draft.id), draft)
+}
+
+export async function deleteDraft (instanceName, id) {
+  await del(draftKey(instanceName, id))
+}
+
+export async function deleteDraftsForInstance (instanceName) {
+  await Promise.all((await getDraftKeys(instanceName)).map(key => del(key)))
+}
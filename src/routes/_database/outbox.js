@@ -0,0 +1,33 @@
+// Posts and interactions that were made while offline, waiting to be sent once we're back online.
+// Keys sort in the order the items were added, which is also the order they get replayed in.
+
+import { get, set, keys, del } from '../_thirdparty/idb-keyval/idb-keyval.js'
+import { padStart } from '../_utils/lodash-lite.js'
+
+const PREFIX = 'outbox-'
+
+let counter = 0
+
+async function getAllKeys () {
+  return (await keys()).filter(key => key.startsWith(PREFIX)).sort()
+}
+
+export async function getOutboxItems () {
+  return Promise.all((await getAllKeys()).map(key => get(key)))
+}
+
+export async function addOutboxItem (item) {
+  // the counter disambiguates items added within the same millisecond
+  const id = `${new Date().toISOString()}-${padStart((counter++).toString(), 6, '0')}`
+  const newItem = { ...item, id, createdAt: Date.now() }
+  await set(PREFIX + id, newItem)
+  return newItem
+}
+
+export async function updateOutboxItem (item) {
+  await set(PREFIX + item.id, item)
+}
+
+export async function deleteOutboxItem (id) {
+  await del(PREFIX + id)
+}
@@ -0,0 +1,51 @@
+import { DEFAULT_LOCALE, SUPPORTED_LOCALES, setIntl } from '../_static/intl.js'
+import { storeLite } from '../_store/storeLite.js'
+import { mark, stop } from '../_utils/marks.js'
+import rtlDetectPackage from 'rtl-detect'
+
+const { getLangDir } = rtlDetectPackage
+
+// The first of the browser's preferred languages that we have a translation for, matching
+// e.g. "de-AT" to "de" and "ru" to "ru-RU"
+export function getBrowserLocale (languages = navigator.languages || [navigator.language]) {
+  for (const language of languages) {
+    const exact = SUPPORTED_LOCALES.find(locale => locale.toLowerCase() === language.toLowerCase())
+    if (exact) {
+      return exact
+    }
+    const base = language.split('-')[0].toLowerCase()
+    const partial = SUPPORTED_LOCALES.find(locale => locale.split('-')[0].toLowerCase() === base)
+    if (partial) {
+      return partial
+    }
+  }
+  return DEFAULT_LOCALE
+}
+
+// the interface language from the general settings, or the browser's if it's not set
+export function getInterfaceLocale () {
+  const { interfaceLanguage } = storeLite.get()
+  return SUPPORTED_LOCALES.includes(interfaceLanguage) ? interfaceLanguage : getBrowserLocale()
+}
+
+function importMessages (locale) {
+  return import(/* webpackChunkName: '$intl$-[request]' */ `../../intl/${locale}.js`)
+}
+
+// Has to be done before the rest of the app is imported, see client.js
+export async function loadIntl () {
+  mark('loadIntl')
+  let locale = getInterfaceLocale()
+  let messages
+  try {
+    messages = (await importMessages(locale)).default
+  } catch (err) {
+    console.error('unable to load messages for ' + locale, err)
+    locale = DEFAULT_LOCALE
+    messages = (await importMessages(locale)).default
+  }
+  setIntl(locale, messages)
+  document.documentElement.lang = locale
+  document.documentElement.dir = getLangDir(locale)
+  stop('loadIntl')
+}
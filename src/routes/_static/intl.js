@@ -1,2 +1,17 @@
 export const DEFAULT_LOCALE = 'en-US'
-export const LOCALE = process.env.LOCALE || DEFAULT_LOCALE
+
+// the interface languages, named after their files in src/intl
+export const SUPPORTED_LOCALES = ['en-US', 'de', 'es', 'fr', 'ru-RU']
+
+// The locale that the server-rendered pages and the service worker are built with. In the app,
+// this is changed to the interface language before it starts, see _intl/loadIntl.js
+export let LOCALE = process.env.LOCALE || DEFAULT_LOCALE
+
+// In the app, intl strings are replaced with lookups in here rather than with the messages
+// themselves (see webpack/svelte-intl-loader.js), so this has to be filled in before it starts too.
+export const intl = {}
+
+export function setIntl (locale, messages) {
+  LOCALE = locale
+  Object.assign(intl, messages)
+}
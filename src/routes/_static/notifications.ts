@@ -6,6 +6,9 @@ interface NotificationInfo {
   icon: string | null
   standalone: boolean
   ariaLabel: string
+  // for staff, a link to where they can deal with it
+  moderationHref?: string
+  moderationLabel?: string
 }
 
 let reaction: (_: any) => NotificationInfo
@@ -62,11 +65,13 @@ export const notificationInfos = {
   }),
   emoji_reaction: reaction,
   'pleroma:emoji_reaction': reaction,
-  'admin.sign_up': ({ name }) => ({
+  'admin.sign_up': ({ notification, name }) => ({
     actionText: 'intl.signedUp',
     icon: '#fa-user-plus',
     standalone: true,
     ariaLabel: `${name} ${'intl.signedUp'}`,
+    moderationHref: `/admin/accounts/${notification.account.id}`,
+    moderationLabel: 'intl.reviewAccount',
   }),
   follow: ({ name }) => ({
     actionText: 'intl.followedYou',
@@ -104,11 +109,14 @@ export const notificationInfos = {
     standalone: true,
     ariaLabel: `${name} ${'intl.requestedFollow'}`,
   }),
-  'admin.report': ({ name }) => ({
+  'admin.report': ({ notification, name }) => ({
     actionText: 'intl.reported',
     icon: '#fa-flag',
     standalone: false,
-    ariaLabel: `${name} ${'admin.report'}`,
+    ariaLabel: `${name} ${'intl.reported'}`,
+    moderationHref:
+      notification.report && `/admin/reports/${notification.report.id}`,
+    moderationLabel: 'intl.viewReport',
   }),
   move: ({ notification, name }) => ({
     actionText: 'intl.moved',
@@ -46,3 +46,7 @@ export const WORD_FILTER_EXPIRY_OPTIONS = [
 ]
 
 export const WORD_FILTER_EXPIRY_DEFAULT = 0
+
+// what v2 filters do with matching posts, v1 filters always hide them
+export const WORD_FILTER_ACTION_WARN = 'warn'
+export const WORD_FILTER_ACTION_HIDE = 'hide'
@@ -7,6 +7,9 @@ import {
 } from '../../_static/statuses.js'
 import { MEDIA_ALT_CHAR_LIMIT } from '../../_static/media.js'
 import { POLL_EXPIRY_OPTIONS } from '../../_static/polls.js'
+import { getInstanceCapabilities, DEFAULT_CAPABILITIES } from '../../_utils/instanceCapabilities.ts'
+import { getStaffPermissions } from '../../_utils/staffPermissions.js'
+import { isReadOnlyLogin } from '../../_utils/oauthScopes.js'
 
 function computeForInstance (store, computedKey, key, defaultValue) {
   store.compute(
@@ -28,8 +31,16 @@ export function instanceComputations (store) {
   )
   computeForInstance(store, 'currentInstanceInfo', 'instanceInfos', null)
   computeForInstance(store, 'pinnedPage', 'pinnedPages', '/local')
+  computeForInstance(store, 'currentSavedSearches', 'savedSearches', [])
+  computeForInstance(store, 'currentSearchHistory', 'searchHistory', [])
+  computeForInstance(store, 'currentDeckColumns', 'deckColumns', [])
   computeForInstance(store, 'lists', 'instanceLists', [])
   computeForInstance(store, 'filters', 'instanceFilters', [])
+  computeForInstance(store, 'currentAnnouncements', 'instanceAnnouncements', [])
+  // null until we know, see _actions/explore.js
+  computeForInstance(store, 'currentExploreTabs', 'instanceExploreTabs', null)
+  // null until they've been fetched, see _actions/conversations.js
+  computeForInstance(store, 'currentConversations', 'instanceConversations', null)
   computeForInstance(
     store,
     'currentStatusModifications',
@@ -38,6 +49,8 @@ export function instanceComputations (store) {
   )
   computeForInstance(store, 'currentCustomEmoji', 'customEmoji', [])
   computeForInstance(store, 'currentComposeData', 'composeData', {})
+  computeForInstance(store, 'currentDrafts', 'instanceDrafts', [])
+  computeForInstance(store, 'currentMediaUploads', 'mediaUploads', {})
   computeForInstance(
     store,
     'currentPushSubscription',
@@ -91,105 +104,27 @@ export function instanceComputations (store) {
     }
   )
 
+  // what the server software supports, see instanceCapabilities.ts
   store.compute(
-    'currentPostTypes',
+    'currentCapabilities',
     ['currentInstanceInfo'],
-    (currentInstanceInfo) => {
-      if (currentInstanceInfo) {
-        if (typeof currentInstanceInfo.pleroma === 'object') { return currentInstanceInfo.pleroma.metadata.post_formats }
-        let _a, _b
-        if (
-          typeof ((_b =
-            (_a = currentInstanceInfo.configuration) === null ||
-            _a === undefined
-              ? undefined
-              : _a.statuses) === null || _b === undefined
-            ? undefined
-            : _b.supported_mime_types) === 'object'
-        ) {
-          return currentInstanceInfo.configuration.statuses.supported_mime_types
-        }
-        if (
-          typeof currentInstanceInfo.version === 'string' &&
-          /\+(glitch|cat|nya|types)/.test(currentInstanceInfo.version)
-        ) { return ['text/plain', 'text/markdown', 'text/html'] }
-      }
-      return ['text/plain']
-    }
-  )
-
-  store.compute(
-    'currentSupportedToggles',
-    ['currentInstanceInfo'],
-    (currentInstanceInfo) => {
-      let _a, _b
-      return (_b =
-        (_a =
-          currentInstanceInfo === null || currentInstanceInfo === undefined
-            ? undefined
-            : currentInstanceInfo.configuration) === null || _a === undefined
-          ? undefined
-          : _a.statuses) === null || _b === undefined
-        ? undefined
-        : _b.supported_toggles
-    }
+    (currentInstanceInfo) =>
+      getInstanceCapabilities(currentInstanceInfo) || DEFAULT_CAPABILITIES
   )
 
+  // null unless the account is a moderator or admin, see staffPermissions.js
   store.compute(
-    'currentPleromaFeatures',
-    ['currentInstanceInfo'],
-    (currentInstanceInfo) => {
-      if (currentInstanceInfo) {
-        if (typeof currentInstanceInfo.pleroma === 'object') { return currentInstanceInfo.pleroma.metadata.features }
-      } else return null
-    }
+    'currentStaffPermissions',
+    ['currentVerifyCredentials', 'currentInstanceData'],
+    (currentVerifyCredentials, currentInstanceData) =>
+      getStaffPermissions(currentVerifyCredentials, currentInstanceData)
   )
 
+  // logged in without the "write" scope, so anything that posts or changes something is hidden
   store.compute(
-    'fedibirdCapabilities',
-    ['currentInstanceInfo'],
-    (currentInstanceInfo) => {
-      if (currentInstanceInfo) {
-        if (typeof currentInstanceInfo.fedibird_capabilities === 'object') { return currentInstanceInfo.fedibird_capabilities }
-      } else return null
-    }
-  )
-
-  store.compute(
-    'currentReactionApi',
-    ['currentPleromaFeatures', 'fedibirdCapabilities'],
-    (currentPleromaFeatures, fedibirdCapabilities) => {
-      return {
-        customEmojiReactions: currentPleromaFeatures
-          ? currentPleromaFeatures.includes('custom_emoji_reactions')
-          : true,
-        externReactions: true,
-        isPleroma: !!currentPleromaFeatures,
-        isFedibird: !!fedibirdCapabilities
-      }
-    }
-  )
-
-  store.compute(
-    'bubbleTimelineEnabled',
-    ['currentInstanceInfo'],
-    (currentInstanceInfo) => {
-      if (currentInstanceInfo) {
-        if (typeof currentInstanceInfo.nodeInfo === 'object') {
-          if (
-            currentInstanceInfo.nodeInfo !== null &&
-            typeof currentInstanceInfo.nodeInfo.metadata === 'object' &&
-            currentInstanceInfo.nodeInfo.metadata !== null
-          ) {
-            const localBubbleInstances =
-              currentInstanceInfo.nodeInfo.metadata.localBubbleInstances
-            return localBubbleInstances
-              ? localBubbleInstances.length > 0
-              : false
-          } else return false
-        } else return null // need updated instanceinfo
-      } else return false
-    }
+    'currentLoginIsReadOnly',
+    ['currentInstanceData'],
+    (currentInstanceData) => isReadOnlyLogin(currentInstanceData)
   )
 
   store.compute(
@@ -16,10 +16,23 @@ export function navComputations (store) {
     }
   )
 
+  store.compute(
+    'pinnedSavedSearchTitle',
+    ['currentSavedSearches', 'pinnedPage'],
+    (currentSavedSearches, pinnedPage) => {
+      if (!pinnedPage.startsWith('/searches')) {
+        return
+      }
+      const savedSearchId = pinnedPage.split('/').slice(-1)[0]
+      const savedSearch = currentSavedSearches.find(_ => _.id === savedSearchId)
+      return savedSearch ? savedSearch.query : ''
+    }
+  )
+
   store.compute(
     'navPages',
-    ['pinnedPage', 'pinnedListTitle'],
-    (pinnedPage, pinnedListTitle) => {
+    ['pinnedPage', 'pinnedListTitle', 'pinnedSavedSearchTitle'],
+    (pinnedPage, pinnedListTitle, pinnedSavedSearchTitle) => {
       let pinnedPageObject
       if (pinnedPage === '/federated') {
         pinnedPageObject = {
@@ -63,6 +76,13 @@ export function navComputations (store) {
           svg: '#fa-bars',
           label: pinnedListTitle
         }
+      } else if (pinnedPage.startsWith('/searches/')) {
+        pinnedPageObject = {
+          name: `searches/${pinnedPage.split('/').slice(-1)[0]}`,
+          href: pinnedPage,
+          svg: '#fa-search',
+          label: pinnedSavedSearchTitle
+        }
       } else { // local
         pinnedPageObject = {
           name: 'local',
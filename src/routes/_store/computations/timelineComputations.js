@@ -22,6 +22,8 @@ export function timelineComputations (store) {
   computeForTimeline(store, 'shouldShowHeader', false)
   computeForTimeline(store, 'timelineItemSummariesAreStale', false)
   computeForTimeline(store, 'timelineNextPageId', null)
+  computeForTimeline(store, 'unreadDividerId', null)
+  computeForTimeline(store, 'readPositionRestored', false)
 
   store.compute('currentTimelineType', ['currentTimeline'], currentTimeline => (
     currentTimeline && currentTimeline.split('/')[0])
@@ -1,18 +1,17 @@
 import {
-  HOME_REBLOGS,
-  HOME_REPLIES,
   NOTIFICATION_FAVORITES,
   NOTIFICATION_FOLLOWS, NOTIFICATION_MENTIONS, NOTIFICATION_POLLS,
   NOTIFICATION_REBLOGS, NOTIFICATION_SUBSCRIPTIONS
 } from '../../_static/instanceSettings.js'
-import {
-  WORD_FILTER_CONTEXT_ACCOUNT,
-  WORD_FILTER_CONTEXT_HOME,
-  WORD_FILTER_CONTEXT_NOTIFICATIONS,
-  WORD_FILTER_CONTEXT_PUBLIC, WORD_FILTER_CONTEXT_THREAD
-} from '../../_static/wordFilters.js'
+import { WORD_FILTER_CONTEXT_NOTIFICATIONS } from '../../_static/wordFilters.js'
 import { createFilterFunction } from '../../_utils/createFilterFunction.js'
 import { get } from '../../_utils/lodash-lite.js'
+import { isNewerId } from '../../_utils/statusIdSorting.js'
+import {
+  TIMELINE_FILTER_SETTINGS,
+  getTimelineFilterSetting,
+  getWordFilterContextForTimeline
+} from '../../_utils/timelineFilters.js'
 
 // Compute just the boolean, e.g. 'showPolls', so that we can use that boolean as
 // the input to the timelineFilterFunction computations. This should reduce the need to
@@ -21,10 +20,9 @@ function computeTimelineFilter (store, computationName, timelinesToSettingsKeys)
   store.compute(
     computationName,
     ['currentInstance', 'instanceSettings', 'currentTimeline'],
-    (currentInstance, instanceSettings, currentTimeline) => {
-      const settingsKey = timelinesToSettingsKeys[currentTimeline]
-      return settingsKey ? get(instanceSettings, [currentInstance, settingsKey], true) : true
-    }
+    (currentInstance, instanceSettings, currentTimeline) => (
+      getTimelineFilterSetting(instanceSettings, currentInstance, currentTimeline, timelinesToSettingsKeys)
+    )
   )
 }
 
@@ -40,13 +38,13 @@ function computeNotificationFilter (store, computationName, key) {
 }
 
 export function timelineFilterComputations (store) {
-  computeTimelineFilter(store, 'timelineShowReblogs', { home: HOME_REBLOGS, notifications: NOTIFICATION_REBLOGS })
-  computeTimelineFilter(store, 'timelineShowReplies', { home: HOME_REPLIES })
-  computeTimelineFilter(store, 'timelineShowFollows', { notifications: NOTIFICATION_FOLLOWS })
-  computeTimelineFilter(store, 'timelineShowFavs', { notifications: NOTIFICATION_FAVORITES })
-  computeTimelineFilter(store, 'timelineShowMentions', { notifications: NOTIFICATION_MENTIONS })
-  computeTimelineFilter(store, 'timelineShowPolls', { notifications: NOTIFICATION_POLLS })
-  computeTimelineFilter(store, 'timelineShowSubscriptions', { notifications: NOTIFICATION_SUBSCRIPTIONS })
+  computeTimelineFilter(store, 'timelineShowReblogs', TIMELINE_FILTER_SETTINGS.showReblogs)
+  computeTimelineFilter(store, 'timelineShowReplies', TIMELINE_FILTER_SETTINGS.showReplies)
+  computeTimelineFilter(store, 'timelineShowFollows', TIMELINE_FILTER_SETTINGS.showFollows)
+  computeTimelineFilter(store, 'timelineShowFavs', TIMELINE_FILTER_SETTINGS.showFavs)
+  computeTimelineFilter(store, 'timelineShowMentions', TIMELINE_FILTER_SETTINGS.showMentions)
+  computeTimelineFilter(store, 'timelineShowPolls', TIMELINE_FILTER_SETTINGS.showPolls)
+  computeTimelineFilter(store, 'timelineShowSubscriptions', TIMELINE_FILTER_SETTINGS.showSubscriptions)
 
   computeNotificationFilter(store, 'timelineNotificationShowReblogs', NOTIFICATION_REBLOGS)
   computeNotificationFilter(store, 'timelineNotificationShowFollows', NOTIFICATION_FOLLOWS)
@@ -58,27 +56,7 @@ export function timelineFilterComputations (store) {
   store.compute(
     'timelineWordFilterContext',
     ['currentTimeline'],
-    (currentTimeline) => {
-      if (!currentTimeline) {
-        return
-      }
-      if (currentTimeline === 'home' || currentTimeline.startsWith('list/')) {
-        return WORD_FILTER_CONTEXT_HOME
-      }
-      if (currentTimeline === 'notifications' || currentTimeline.startsWith('notifications/')) {
-        return WORD_FILTER_CONTEXT_NOTIFICATIONS
-      }
-      if (currentTimeline === 'federated' || currentTimeline === 'bubble' || currentTimeline === 'local' || currentTimeline.startsWith('tag/')) {
-        return WORD_FILTER_CONTEXT_PUBLIC
-      }
-      if (currentTimeline.startsWith('account/')) {
-        return WORD_FILTER_CONTEXT_ACCOUNT
-      }
-      if (currentTimeline.startsWith('status/')) {
-        return WORD_FILTER_CONTEXT_THREAD
-      }
-      // return undefined otherwise
-    }
+    (currentTimeline) => getWordFilterContextForTimeline(currentTimeline)
   )
 
   // This one is based on whatever the current timeline is
@@ -116,6 +94,20 @@ export function timelineFilterComputations (store) {
     }
   )
 
+  // The first item that had been read at the end of the last visit, which gets an "unread since your
+  // last visit" divider above it, unless nothing above it is unread. See _actions/markers.js
+  store.compute(
+    'unreadDividerItemId',
+    ['filteredTimelineItemSummaries', 'unreadDividerId'],
+    (filteredTimelineItemSummaries, unreadDividerId) => {
+      if (!filteredTimelineItemSummaries || !unreadDividerId) {
+        return null
+      }
+      const index = filteredTimelineItemSummaries.findIndex(summary => !isNewerId(summary.id, unreadDividerId))
+      return index > 0 ? filteredTimelineItemSummaries[index].id : null
+    }
+  )
+
   store.compute(
     'filteredTimelineItemSummariesToAdd',
     ['timelineItemSummariesToAdd', 'timelineFilterFunction'],
@@ -131,11 +123,21 @@ export function timelineFilterComputations (store) {
     )
   )
 
+  store.compute('notificationsMarkerLastReadId',
+    ['timelineData_markerLastReadId', 'currentInstance'],
+    (root, currentInstance) => (
+      get(root, [currentInstance, 'notifications'])
+    )
+  )
+
+  // notifications that we haven't shown yet, and that haven't been read in another app either
   store.compute(
     'filteredTimelineNotificationItemSummaries',
-    ['timelineNotificationItemSummaries', 'timelineNotificationFilterFunction'],
-    (timelineNotificationItemSummaries, timelineNotificationFilterFunction) => (
-      timelineNotificationItemSummaries && timelineNotificationItemSummaries.filter(timelineNotificationFilterFunction)
+    ['timelineNotificationItemSummaries', 'timelineNotificationFilterFunction', 'notificationsMarkerLastReadId'],
+    (timelineNotificationItemSummaries, timelineNotificationFilterFunction, notificationsMarkerLastReadId) => (
+      timelineNotificationItemSummaries && timelineNotificationItemSummaries.filter(summary => (
+        timelineNotificationFilterFunction(summary) && isNewerId(summary.id, notificationsMarkerLastReadId)
+      ))
     )
   )
 }
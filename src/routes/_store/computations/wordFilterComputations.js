@@ -1,5 +1,4 @@
-import { createRegexFromFilters } from '../../_utils/createRegexFromFilters.js'
-import { WORD_FILTER_CONTEXTS } from '../../_static/wordFilters.js'
+import { createRegexFromKeywords } from '../../_utils/createRegexFromKeywords.js'
 
 export function wordFilterComputations (store) {
   // unexpiredInstanceFilters is calculated based on `now` and `instanceFilters`,
@@ -10,17 +9,18 @@ export function wordFilterComputations (store) {
     (unexpiredInstanceFilters, currentInstance) => unexpiredInstanceFilters[currentInstance] || []
   )
 
-  store.compute('unexpiredInstanceFilterRegexes', ['unexpiredInstanceFilters'], unexpiredInstanceFilters => {
+  // What computeFiltersForStatusOrNotification needs to know about each filter, see that file for details
+  store.compute('unexpiredInstanceFilterMatchers', ['unexpiredInstanceFilters'], unexpiredInstanceFilters => {
     return Object.fromEntries(Object.entries(unexpiredInstanceFilters).map(([instanceName, filters]) => {
-      const contextsToRegex = Object.fromEntries(WORD_FILTER_CONTEXTS.map(context => {
-        const filtersForThisContext = filters.filter(_ => _.context.includes(context))
-        if (!filtersForThisContext.length) {
-          return undefined // don't bother even adding it to the map
-        }
-        const regex = createRegexFromFilters(filtersForThisContext)
-        return [context, regex]
-      }).filter(Boolean))
-      return [instanceName, contextsToRegex]
+      const matchers = filters.map(filter => ({
+        id: filter.id,
+        title: filter.title,
+        hide: filter.filter_action === 'hide',
+        contexts: filter.context,
+        regex: filter.keywords.length ? createRegexFromKeywords(filter.keywords) : undefined,
+        statusIds: new Set(filter.statuses.map(_ => _.status_id))
+      }))
+      return [instanceName, matchers]
     }))
   })
 }
@@ -0,0 +1,16 @@
+import { store } from '../store.js'
+import { updateDraftsForInstance, onDraftsChangedInOtherTab } from '../../_actions/drafts.js'
+
+export function draftsObservers () {
+  if (!ENAFORE_IS_BROWSER) {
+    return
+  }
+  store.observe('currentInstance', currentInstance => {
+    if (currentInstance) {
+      /* no await */ updateDraftsForInstance(currentInstance)
+    }
+  })
+  onDraftsChangedInOtherTab(instanceName => {
+    /* no await */ updateDraftsForInstance(instanceName)
+  })
+}
@@ -1,6 +1,6 @@
 import { updateInstanceInfo, updateVerifyCredentialsForInstance } from '../../_actions/instances.js'
 import { setupListsForInstance } from '../../_actions/lists.js'
-import { createStream } from '../../_actions/stream/streaming.js'
+import { createStream, getStreamingApi } from '../../_actions/stream/streaming.js'
 import { updatePushSubscriptionForInstance } from '../../_actions/pushSubscription.js'
 import { setupCustomEmojiForInstance } from '../../_actions/emoji.js'
 import { scheduleIdleTask } from '../../_utils/scheduleIdleTask.js'
@@ -8,6 +8,8 @@ import { mark, stop } from '../../_utils/marks.js'
 import { store } from '../store.js'
 import { updateFollowRequestCountIfLockedAccount } from '../../_actions/followRequests.js'
 import { setupFiltersForInstance } from '../../_actions/filters.js'
+import { updateAnnouncementsForInstance } from '../../_actions/announcements.js'
+import { flushReadPositions, updateMarkersForInstance } from '../../_actions/markers.js'
 
 // stream to watch for home timeline updates and notifications
 let currentInstanceStream
@@ -47,6 +49,9 @@ async function refreshInstanceData (instanceName) {
   scheduleIdleTask(() => setupListsForInstance(instanceName))
   scheduleIdleTask(() => setupFiltersForInstance(instanceName))
   scheduleIdleTask(() => updatePushSubscriptionForInstance(instanceName))
+  scheduleIdleTask(() => updateAnnouncementsForInstance(instanceName))
+  // not critical, but the unread divider and notification count depend on it
+  /* no await */ updateMarkersForInstance(instanceName)
 
   // these are the only critical ones
   const ready = Promise.all([
@@ -62,12 +67,7 @@ async function refreshInstanceData (instanceName) {
 
 function stream (store, instanceName, currentInstanceInfo) {
   const { accessToken } = store.get()
-  let streamingApi
-  if (currentInstanceInfo?.configuration?.urls?.streaming) {
-    streamingApi = currentInstanceInfo.configuration.urls.streaming
-  } else {
-    streamingApi = currentInstanceInfo.urls.streaming_api
-  }
+  const streamingApi = getStreamingApi(currentInstanceInfo)
   const firstStatusId = store.getFirstTimelineItemId(instanceName, 'home')
   const firstNotificationId = store.getFirstTimelineItemId(instanceName, 'notifications')
 
@@ -97,4 +97,15 @@ export function instanceObservers () {
 
     refreshInstanceDataAndStream(store, currentInstance)
   })
+
+  // Save where the user stopped reading before the page may be closed, and find out where they
+  // got to in other apps when they come back
+  store.observe('pageVisibilityHidden', pageVisibilityHidden => {
+    const { currentInstance } = store.get()
+    if (pageVisibilityHidden) {
+      /* no await */ flushReadPositions()
+    } else if (currentInstance) {
+      /* no await */ updateMarkersForInstance(currentInstance)
+    }
+  }, { init: false })
 }
@@ -11,6 +11,8 @@ import { showComposeDialogObservers } from './showComposeDialogObservers.js'
 import { badgeObservers } from './badgeObservers.js'
 import { countryFlagEmojiPolyfill } from './countryFlagEmojiPolyfill.js'
 import { centerNavObservers } from './centerNavObservers.js'
+import { outboxObservers } from './outboxObservers.js'
+import { draftsObservers } from './draftsObservers.js'
 
 // These observers can be lazy-loaded when the user is actually logged in.
 // Prevents circular dependencies and reduces the size of main.js
@@ -28,4 +30,6 @@ export function loggedInObservers () {
   badgeObservers()
   cleanup()
   countryFlagEmojiPolyfill()
+  outboxObservers()
+  draftsObservers()
 }
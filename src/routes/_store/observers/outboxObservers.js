@@ -0,0 +1,17 @@
+import { store } from '../store.js'
+import { replayOutbox, updateOutboxItems } from '../../_actions/outbox.js'
+import { scheduleIdleTask } from '../../_utils/scheduleIdleTask.js'
+
+export function outboxObservers () {
+  if (!ENAFORE_IS_BROWSER) {
+    return
+  }
+  // send anything that was queued while offline, including in a previous session
+  store.observe('online', online => {
+    if (online) {
+      scheduleIdleTask(replayOutbox)
+    } else {
+      scheduleIdleTask(updateOutboxItems)
+    }
+  })
+}
@@ -1,5 +1,5 @@
 import { store } from '../store.js'
-import { showComposeDialog } from '../../_actions/showComposeDialog.js'
+import { showComposeDialog, showReplyComposeDialog } from '../../_actions/showComposeDialog.js'
 
 // If the user is logged in, and if the Service Worker handled a POST and set special data
 // in IndexedDB, then we want to handle it on the home page.
@@ -11,8 +11,13 @@ export function showComposeDialogObservers () {
       // if the user is trying to share something (or we got here from a shortcut), then share it
       observedOnce = true
       const { currentPage } = store.get()
-      if (currentPage === 'home' && new URLSearchParams(location.search).get('compose') === 'true') {
-        await showComposeDialog()
+      const params = new URLSearchParams(location.search)
+      if (currentPage === 'home' && params.get('compose') === 'true') {
+        if (params.get('replyTo')) { // from a push notification, see service-worker.js
+          await showReplyComposeDialog(params.get('replyTo'), params.get('text'))
+        } else {
+          await showComposeDialog()
+        }
       }
     }
   })
@@ -1,5 +1,5 @@
 import { updateInstanceInfo } from '../../_actions/instances.js'
-import { createStream } from '../../_actions/stream/streaming.js'
+import { createStream, getStreamingApi, timelineCanStream } from '../../_actions/stream/streaming.js'
 import { store } from '../store.js'
 
 export function timelineObservers () {
@@ -17,17 +17,6 @@ export function timelineObservers () {
     }
   }
 
-  function shouldObserveTimeline (timeline) {
-    return timeline &&
-      !(
-        timeline !== 'local' &&
-        timeline !== 'federated' &&
-        timeline !== 'direct' &&
-        !timeline.startsWith('list/') &&
-        !timeline.startsWith('tag/')
-      )
-  }
-
   store.observe('currentTimeline', async (currentTimeline) => {
     if (!ENAFORE_IS_BROWSER) {
       return
@@ -35,7 +24,7 @@ export function timelineObservers () {
 
     shutdownPreviousStream()
 
-    if (!shouldObserveTimeline(currentTimeline)) {
+    if (!timelineCanStream(currentTimeline)) {
       return
     }
 
@@ -58,12 +47,7 @@ export function timelineObservers () {
 
     const firstStatusId = store.getFirstTimelineItemId(currentInstance, currentTimeline)
     const { currentInstanceInfo } = store.get()
-    let streamingApi
-    if (currentInstanceInfo?.configuration?.urls?.streaming) {
-      streamingApi = currentInstanceInfo.configuration.urls.streaming
-    } else {
-      streamingApi = currentInstanceInfo.urls.streaming_api
-    }
+    const streamingApi = getStreamingApi(currentInstanceInfo)
 
     currentTimelineStream = createStream(streamingApi, currentInstance, accessToken,
       currentTimeline, firstStatusId)
@@ -2,7 +2,7 @@ import { on } from '../../_utils/eventBus.ts'
 import { updateFiltersForInstance } from '../../_actions/filters.js'
 import { store } from '../store.js'
 import { isEqual } from '../../_utils/lodash-lite.js'
-import { computeFilterContextsForStatusOrNotification } from '../../_utils/computeFilterContextsForStatusOrNotification.js'
+import { computeFiltersForStatusOrNotification } from '../../_utils/computeFiltersForStatusOrNotification.js'
 import { database } from '../../_database/database.js'
 import { mark, stop } from '../../_utils/marks.js'
 
@@ -40,10 +40,10 @@ export function wordFilterObservers () {
     updateUnexpiredInstanceFiltersIfUnchanged(now, instanceFilters)
   })
 
-  store.observe('unexpiredInstanceFilterRegexes', async unexpiredInstanceFilterRegexes => {
-    console.log('unexpiredInstanceFilterRegexes changed, recomputing filterContexts')
+  store.observe('unexpiredInstanceFilterMatchers', async unexpiredInstanceFilterMatchers => {
+    console.log('unexpiredInstanceFilterMatchers changed, recomputing filterContexts')
     mark('update timeline item summary filter contexts')
-    // Whenever the filters change, we need to re-compute the filterContexts on the TimelineSummaries.
+    // Whenever the filters change, we need to re-compute the filterContexts and filterWarnings on the TimelineSummaries.
     // This is a bit of an odd design, but we do it for perf. See timelineItemToSummary.ts for details.
     let {
       timelineData_timelineItemSummaries: timelineItemSummaries,
@@ -55,7 +55,7 @@ export function wordFilterObservers () {
 
     let somethingChanged = false
 
-    await Promise.all(Object.entries(unexpiredInstanceFilterRegexes).map(async ([instanceName, contextsToRegex]) => {
+    await Promise.all(Object.entries(unexpiredInstanceFilterMatchers).map(async ([instanceName, matchers]) => {
       const timelinesToSummaries = timelineItemSummaries[instanceName] || {}
       const timelinesToSummariesToAdd = timelineItemSummariesToAdd[instanceName] || {}
       const summariesToUpdate = [
@@ -70,10 +70,11 @@ export function wordFilterObservers () {
             ? database.getNotification(instanceName, summary.id)
             : database.getStatus(instanceName, summary.id)
           )
-          const newFilterContexts = computeFilterContextsForStatusOrNotification(item, contextsToRegex)
-          if (!isEqual(summary.filterContexts, newFilterContexts)) {
+          const { filterContexts, filterWarnings } = computeFiltersForStatusOrNotification(item, matchers)
+          if (!isEqual(summary.filterContexts, filterContexts) || !isEqual(summary.filterWarnings, filterWarnings)) {
             somethingChanged = true
-            summary.filterContexts = newFilterContexts
+            summary.filterContexts = filterContexts
+            summary.filterWarnings = filterWarnings
           }
         } catch (err) {
           console.error(err)
@@ -83,7 +84,7 @@ export function wordFilterObservers () {
     }))
 
     // The previous was an async operation, so the timelinesItemSummaries or timelineItemSummariesToAdd
-    // may have changed. But we need to make sure that the filterContexts are updated in the store
+    // may have changed. But we need to make sure that the filterContexts and filterWarnings are updated in the store
     // So just force an update here.
     if (somethingChanged) {
       console.log('Word filters changed, forcing an update')
@@ -46,15 +46,25 @@ const persistedState = {
   loggedInInstances: {},
   loggedInInstancesInOrder: [],
   markMediaAsSensitive: false,
+  keepOriginalMedia: false,
   showAllSpoilers: false,
   neverMarkMediaAsSensitive: false,
   ignoreBlurhash: false,
   omitEmojiInDisplayNames: undefined,
   pinnedPages: {},
+  savedSearches: {},
+  searchHistory: {},
+  deckColumns: {},
   pushSubscriptions: {},
   lastPings: {},
   reduceMotion:
     !ENAFORE_IS_BROWSER || matchMedia('(prefers-reduced-motion: reduce)').matches,
+  interfaceLanguage: '',
+  translationProvider: 'instance',
+  translationTargetLanguage: '',
+  libreTranslateUrl: 'https://libretranslate.com',
+  libreTranslateApiKey: '',
+  customTranslationUrl: '',
   underlineLinks: false,
   iconColors: '',
   lastContentTypes: {}
@@ -62,12 +72,19 @@ const persistedState = {
 
 const nonPersistedState = {
   customEmoji: {},
+  instanceAnnouncements: {},
+  instanceExploreTabs: {},
+  instanceConversations: {},
+  filteredStatusesShown: {},
   unexpiredInstanceFilters: {},
   followRequestCounts: {},
   instanceInfos: {},
   instanceLists: {},
+  instanceDrafts: {},
   instanceFilters: {},
+  mediaUploads: {},
   online: !ENAFORE_IS_BROWSER || navigator.onLine,
+  outboxItems: [],
   pinnedStatuses: {},
   polls: {},
   pushNotificationsSupport:
@@ -76,6 +93,7 @@ const nonPersistedState = {
     'PushManager' in window &&
     'getKey' in PushSubscription.prototype,
   queryInSearch: '',
+  searchType: 'all',
   repliesShown: {},
   sensitivesShown: {},
   spoilersShown: {},
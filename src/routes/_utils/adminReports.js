@@ -0,0 +1,24 @@
+import { formatIntl } from './formatIntl.js'
+import { shortAbsoluteDateFormatter } from './formatters.js'
+
+// Helpers for showing reports from the admin API. Note that report.account (the reporter),
+// report.target_account and report.assigned_account are admin accounts, which have the
+// regular account in .account
+
+const CATEGORY_LABELS = {
+  spam: 'intl.reportCategorySpam',
+  legal: 'intl.reportCategoryLegal',
+  violation: 'intl.reportCategoryViolation'
+}
+
+export function getReportCategoryLabel (report) {
+  return CATEGORY_LABELS[report.category] || 'intl.reportCategoryOther'
+}
+
+export function getReportSummary (report) {
+  return formatIntl('intl.reportSummary', {
+    reporter: '@' + report.account.account.acct,
+    date: shortAbsoluteDateFormatter().format(new Date(report.created_at).getTime()),
+    count: report.statuses ? report.statuses.length : 0
+  })
+}
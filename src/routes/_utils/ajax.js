@@ -73,6 +73,78 @@ export async function patch (url, body, headers, options) {
   return (await _putOrPostOrPatch('PATCH', url, body, headers, options)).json
 }
 
+// Like post(), but with XMLHttpRequest, since fetch() can't report upload progress. Calls
+// options.onProgress(loaded, total) as the body is sent. The timeout restarts whenever there's
+// progress, so that big uploads on slow connections don't time out as long as they're moving.
+export function postWithProgress (url, body, headers, options = {}) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    let timeoutHandle
+    const cleanup = () => {
+      clearTimeout(timeoutHandle)
+      if (options.signal) {
+        options.signal.removeEventListener('abort', onAbort)
+      }
+    }
+    const restartTimeout = () => {
+      if (options.timeout) {
+        clearTimeout(timeoutHandle)
+        timeoutHandle = setTimeout(() => {
+          cleanup()
+          xhr.abort()
+          reject(new Error(`Timed out after ${options.timeout / 1000} seconds`))
+        }, options.timeout)
+      }
+    }
+    const onAbort = () => {
+      cleanup()
+      xhr.abort()
+      const err = new Error('The upload was canceled')
+      err.name = 'AbortError'
+      reject(err)
+    }
+    if (options.signal) {
+      if (options.signal.aborted) {
+        onAbort()
+        return
+      }
+      options.signal.addEventListener('abort', onAbort)
+    }
+    xhr.open('POST', url)
+    const fetchOptions = makeFetchOptions('POST', headers)
+    for (const [name, value] of Object.entries(fetchOptions.headers)) {
+      xhr.setRequestHeader(name, value)
+    }
+    xhr.upload.addEventListener('progress', event => {
+      restartTimeout()
+      if (options.onProgress && event.lengthComputable) {
+        options.onProgress(event.loaded, event.total)
+      }
+    })
+    xhr.addEventListener('load', () => {
+      cleanup()
+      // same as throwErrorIfInvalidResponse()
+      if (xhr.status >= 300) {
+        const err = new Error('Request failed: ' + xhr.status)
+        err.status = xhr.status
+        reject(err)
+        return
+      }
+      try {
+        resolve(JSON.parse(xhr.responseText))
+      } catch (e) {
+        reject(e)
+      }
+    })
+    xhr.addEventListener('error', () => {
+      cleanup()
+      reject(new Error('Network error'))
+    })
+    restartTimeout()
+    xhr.send(body)
+  })
+}
+
 export async function get (url, headers, options) {
   return (await _fetch(url, makeFetchOptions('GET', headers, options), options)).json
 }
@@ -0,0 +1 @@
+export const importLibreTranslate = () => import('../libreTranslate.js')
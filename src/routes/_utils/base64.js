@@ -18,3 +18,15 @@ export const urlBase64ToUint8Array = (base64String) => {
 
   return decodeBase64(base64)
 }
+
+// the inverse of urlBase64ToUint8Array, without padding
+export const uint8ArrayToUrlBase64 = (array) => {
+  let rawData = ''
+  for (let i = 0; i < array.length; ++i) {
+    rawData += String.fromCharCode(array[i])
+  }
+  return btoa(rawData)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '')
+}
@@ -0,0 +1,61 @@
+import { createSearchIndexFromStatusOrNotification } from './createSearchIndexFromStatusOrNotification.js'
+
+// The statuses this item's filter results could be attached to, e.g. the status on a notification
+// or the original status of a boost.
+function getStatuses (statusOrNotification) {
+  const status = statusOrNotification.status || statusOrNotification
+  return status.reblog ? [status, status.reblog] : [status]
+}
+
+// v2 filters are also matched by the server, which lists the results in status.filtered. Only trust
+// those for filters we still know about, since the status may have been cached before a filter was
+// deleted or expired.
+function getServerFilterIds (statuses) {
+  return new Set(statuses.flatMap(status => (
+    Array.isArray(status.filtered) ? status.filtered.map(result => result.filter && result.filter.id) : []
+  )))
+}
+
+// Returns { filterContexts, filterWarnings }, where filterContexts is the list of contexts in which
+// a "hide" filter matches, and filterWarnings maps each other context to the titles of the
+// "warn" filters that match in it.
+export function computeFiltersForStatusOrNotification (statusOrNotification, matchers) {
+  if (!matchers || !matchers.length) {
+    // avoid computing the search index, just bail out
+    return {}
+  }
+  const statuses = getStatuses(statusOrNotification)
+  const serverFilterIds = getServerFilterIds(statuses)
+  let searchIndex
+  const matchingFilters = matchers.filter(matcher => {
+    if (serverFilterIds.has(matcher.id) || statuses.some(status => matcher.statusIds.has(status.id))) {
+      return true
+    }
+    if (!matcher.regex) {
+      return false
+    }
+    // the searchIndex is really just a string of text
+    searchIndex = searchIndex || createSearchIndexFromStatusOrNotification(statusOrNotification)
+    return matcher.regex.test(searchIndex)
+  })
+
+  const filterContexts = [...new Set(matchingFilters.filter(_ => _.hide).flatMap(_ => _.contexts))]
+  let filterWarnings
+  for (const matcher of matchingFilters) {
+    if (matcher.hide) {
+      continue
+    }
+    for (const context of matcher.contexts) {
+      if (!filterContexts.includes(context)) {
+        filterWarnings = filterWarnings || {}
+        filterWarnings[context] = (filterWarnings[context] || []).concat(matcher.title)
+      }
+    }
+  }
+
+  // return undefined instead of new objects to reduce memory usage of TimelineSummary
+  return {
+    filterContexts: filterContexts.length ? filterContexts : undefined,
+    filterWarnings
+  }
+}
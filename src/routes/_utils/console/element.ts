@@ -14,10 +14,14 @@ import {
   DocNode,
 } from '@easrng/elements/tiny'
 import inspect from 'object-inspect'
-import { logs, type Log } from './hook.ts'
+import { SESSION, type Log } from './hook.ts'
+import { getAllLogs, InspectedArg } from './storage.ts'
 import { eventBus } from '../eventBus.ts'
 
 if (ENAFORE_IS_BROWSER) {
+  function inspectArg(arg: unknown) {
+    return arg instanceof InspectedArg ? arg.text : inspect(arg)
+  }
   const DefaultFormat: Component<{ args: unknown[] }> = ({ args, html }) => {
     const first = args[0]
     let a = 0
@@ -63,7 +67,7 @@ if (ENAFORE_IS_BROWSER) {
               }
             } else if (Array.prototype.includes.call(['O', 'o'], char)) {
               // Format as an object.
-              formattedArg = inspect(args[a++])
+              formattedArg = inspectArg(args[a++])
             } else if (char == 'c') {
               const value = String(args[a++])
               flush()
@@ -98,7 +102,7 @@ if (ENAFORE_IS_BROWSER) {
       if (typeof args[a] == 'string') {
         out.push(String(args[a]))
       } else {
-        out.push(inspect(args[a]))
+        out.push(inspectArg(args[a]))
       }
     }
     flush()
@@ -114,7 +118,8 @@ if (ENAFORE_IS_BROWSER) {
     if (
       (properties !== undefined && !Array.isArray(properties)) ||
       data === null ||
-      typeof data !== 'object'
+      typeof data !== 'object' ||
+      data instanceof InspectedArg
     ) {
       return html`<${DefaultFormat} args=${[data, properties]} />`
     }
@@ -248,9 +253,17 @@ if (ENAFORE_IS_BROWSER) {
     'profileEnd',
     ...Object.keys(icons),
   ])
+  // for the level filter, from least to most severe. Anything else counts as a log
+  const levels = ['debug', 'log', 'info', 'warn', 'error']
   const TimesContext = createContext<Map<string, number>>()
   const CountsContext = createContext<Map<string, number>>()
-  const LogLine: Component<{ log: Log }> = ({ log, html, context }) => {
+  const LogLine: Component<{ log: Log }> = ({
+    log: originalLog,
+    html,
+    context,
+  }) => {
+    // the log is stored and may be rendered again, so don't change it below
+    const log = { ...originalLog, args: originalLog.args.slice() }
     const times = context(TimesContext)!
     const counts = context(CountsContext)!
     let stackEle: Node | string = ''
@@ -332,13 +345,27 @@ if (ENAFORE_IS_BROWSER) {
     } else {
       content = html`<${DefaultFormat} args=${log.args} />`
     }
+    const level = levels.includes(log.type) ? log.type : 'log'
     return html`
-      <li class=${'log log-' + log.type}>${icon} ${content} ${stackEle}</li>
+      <li
+        class=${'log log-' + log.type}
+        data-level=${level}
+        title=${new Date(log.time).toLocaleString()}
+      >
+        ${icon} ${content} ${stackEle}
+      </li>
     `
   }
+  // Shows the stored logs, then new ones as they come in. The level and filter attributes hide
+  // logs less severe than the given level, or that don't contain the given text.
   class ConsoleLogs extends HTMLElement {
+    static observedAttributes = ['level', 'filter']
     _times?: Map<string, number>
     _counts?: Map<string, number>
+    _session?: string
+    _loaded = false
+    _lastSeq = -1
+    _queued: Log[] = []
     constructor() {
       super()
       this._onLog = this._onLog.bind(this)
@@ -346,37 +373,89 @@ if (ENAFORE_IS_BROWSER) {
     connectedCallback() {
       this.textContent = ''
       const ul = document.createElement('ul')
+      ul.className = 'logs'
       this.append(ul)
-      this._times = new Map()
-      this._counts = new Map()
+      this._session = undefined
+      this._loaded = false
+      this._lastSeq = -1
+      this._queued = []
       eventBus.on('console', this._onLog)
-      this.firstElementChild!.append(
-        render(
-          ({ html }) => html`
-          <${TimesContext} value=${this._times}>
-            <${CountsContext} value=${this._counts}>
-              ${logs.map((log) => html`<${LogLine} log=${log} />`)}
-            </CountsContext>
-          </TimesContext>
-        `,
-        ),
-      )
+      getAllLogs().then((logs) => {
+        if (this.firstElementChild !== ul) {
+          return // disconnected in the meantime
+        }
+        // render each page load separately, since timers and counts don't carry over
+        let start = 0
+        for (let i = 1; i <= logs.length; i++) {
+          if (i === logs.length || logs[i]!.session !== logs[start]!.session) {
+            this._append(logs.slice(start, i))
+            start = i
+          }
+        }
+        this._loaded = true
+        // anything logged while loading may have been stored already
+        this._append(this._queued.filter((log) => log.seq > this._lastSeq))
+        this._queued = []
+      })
     }
     disconnectedCallback() {
       this.textContent = ''
       eventBus.off('console', this._onLog)
     }
-    _onLog(log: Log) {
-      this.firstElementChild!.append(
+    attributeChangedCallback() {
+      if (this.firstElementChild) {
+        for (const li of Array.from(this.firstElementChild.children)) {
+          this._filter(li as HTMLElement)
+        }
+      }
+    }
+    _filter(li: HTMLElement) {
+      const level = this.getAttribute('level')
+      const filter = (this.getAttribute('filter') || '').toLowerCase()
+      li.hidden = !!(
+        (level && levels.indexOf(li.dataset.level!) < levels.indexOf(level)) ||
+        (filter && !li.textContent!.toLowerCase().includes(filter))
+      )
+    }
+    // logs must all be from the same page load
+    _append(logs: Log[]) {
+      if (!logs.length) {
+        return
+      }
+      if (logs[0]!.session !== this._session) {
+        this._session = logs[0]!.session
+        this._times = new Map()
+        this._counts = new Map()
+      }
+      if (this._session === SESSION) {
+        this._lastSeq = logs[logs.length - 1]!.seq
+      }
+      const ul = this.firstElementChild!
+      const previousLast = ul.lastElementChild
+      ul.append(
         render(
           ({ html }) => html`
           <${TimesContext} value=${this._times}>
             <${CountsContext} value=${this._counts}>
-              <${LogLine} log=${log} />
+              ${logs.map((log) => html`<${LogLine} log=${log} />`)}
             </CountsContext>
-          </TimesContext>`,
+          </TimesContext>
+        `,
         ),
       )
+      let li = previousLast
+        ? previousLast.nextElementSibling
+        : ul.firstElementChild
+      for (; li; li = li.nextElementSibling) {
+        this._filter(li as HTMLElement)
+      }
+    }
+    _onLog(log: Log) {
+      if (this._loaded) {
+        this._append([log])
+      } else {
+        this._queued.push(log)
+      }
     }
   }
   customElements.define('easrng-console-logs', ConsoleLogs)
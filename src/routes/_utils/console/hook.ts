@@ -1,17 +1,25 @@
 import { emit } from '../eventBus.ts'
+import { storeLog } from './storage.ts'
 export type Log = {
   type: string
   args: unknown[]
   time: number
   stack?: string
+  // identifies the page load the log is from, and its order within it
+  session: string
+  seq: number
 }
+export const SESSION = `${Date.now().toString(36)}-${Math.random().toString(36).substring(2)}`
 export const logs: Log[] = []
 if (ENAFORE_IS_BROWSER) {
-  function add(log: Log) {
+  let seq = 0
+  function add(partialLog: Omit<Log, 'session' | 'seq'>) {
+    const log = { ...partialLog, session: SESSION, seq: seq++ }
     if (logs.length > 100) {
       logs.shift()
     }
     logs.push(log)
+    storeLog(log)
     emit('console', log)
   }
   globalThis.addEventListener('unhandledrejection', (event) => {
@@ -0,0 +1,208 @@
+// Keeps console logs in IndexedDB, so that they survive a reload and can be attached to a bug
+// report. Most objects can't be stored in IDB, so args other than primitives are stored as
+// their inspect() output. The oldest logs are dropped once there are more than MAX_LOGS of
+// them or they add up to more than MAX_SIZE characters.
+
+import inspect from 'object-inspect'
+import { logs, type Log } from './hook.ts'
+import { lifecycle } from '../lifecycle.ts'
+
+const DB_NAME = 'enafore-logs'
+const STORE_NAME = 'logs'
+const MAX_LOGS = 1000
+const MAX_SIZE = 1000000
+const MAX_TEXT_LENGTH = 10000
+const FLUSH_DELAY = 2000
+
+// an arg that was stored as its inspect() output
+export class InspectedArg {
+  text: string
+  constructor(text: string) {
+    this.text = text
+  }
+
+  toJSON() {
+    return this.text
+  }
+}
+
+type StoredLog = Omit<Log, 'args'> & {
+  args: unknown[]
+  size: number
+}
+
+let pending: Log[] = []
+let flushTimeout: ReturnType<typeof setTimeout> | undefined
+let disabled = false
+let dbPromise: Promise<IDBDatabase> | undefined
+
+function truncate(text: string) {
+  return text.length > MAX_TEXT_LENGTH
+    ? text.substring(0, MAX_TEXT_LENGTH) + '…'
+    : text
+}
+
+function serializeArg(arg: unknown): unknown {
+  if (typeof arg === 'string') {
+    return truncate(arg)
+  }
+  if (
+    arg === null ||
+    ['undefined', 'boolean', 'number', 'bigint'].includes(typeof arg)
+  ) {
+    return arg
+  }
+  let text: string
+  try {
+    text = inspect(arg)
+    if (arg instanceof Error && arg.stack) {
+      text += '\n' + arg.stack
+    }
+  } catch (e) {
+    text = Object.prototype.toString.call(arg)
+  }
+  return { inspected: truncate(text) }
+}
+
+function serializeLog(log: Log): StoredLog {
+  const args = log.args.map(serializeArg)
+  const stack = log.stack && truncate(log.stack)
+  let size = log.type.length + (stack ? stack.length : 0)
+  for (const arg of args) {
+    size += typeof arg === 'string' ? arg.length : 0
+    size += arg && typeof arg === 'object' ? (arg as any).inspected.length : 0
+  }
+  return {
+    type: log.type,
+    args,
+    time: log.time,
+    stack,
+    session: log.session,
+    seq: log.seq,
+    size,
+  }
+}
+
+function deserializeLog({ size, ...log }: StoredLog): Log {
+  return {
+    ...log,
+    args: log.args.map((arg) =>
+      arg && typeof arg === 'object'
+        ? new InspectedArg((arg as any).inspected)
+        : arg,
+    ),
+  }
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1)
+      req.onerror = () => reject(req.error)
+      req.onsuccess = () => resolve(req.result)
+      req.onupgradeneeded = () => {
+        req.result.createObjectStore(STORE_NAME, {
+          keyPath: 'id',
+          autoIncrement: true,
+        })
+      }
+    })
+  }
+  return dbPromise
+}
+
+function closeDatabase() {
+  if (dbPromise) {
+    dbPromise.then((db) => db.close()).catch(() => {})
+    dbPromise = undefined
+  }
+}
+
+async function withStore<T>(
+  mode: IDBTransactionMode,
+  callback: (store: IDBObjectStore) => IDBRequest<T> | void,
+): Promise<T | undefined> {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode)
+    const req = callback(tx.objectStore(STORE_NAME))
+    tx.oncomplete = () => resolve(req ? req.result : undefined)
+    tx.onabort = tx.onerror = () => reject(tx.error)
+  })
+}
+
+export async function flushLogs() {
+  clearTimeout(flushTimeout)
+  flushTimeout = undefined
+  if (!pending.length) {
+    return
+  }
+  const toStore = pending.map(serializeLog)
+  pending = []
+  try {
+    await withStore('readwrite', (store) => {
+      for (const log of toStore) {
+        store.add(log)
+      }
+      // count back from the newest log, and drop everything older once we're over a limit
+      let count = 0
+      let size = 0
+      const req = store.openCursor(null, 'prev')
+      req.onsuccess = () => {
+        const cursor = req.result
+        if (!cursor) {
+          return
+        }
+        count++
+        size += (cursor.value as StoredLog).size
+        if (count > MAX_LOGS || size > MAX_SIZE) {
+          store.delete(IDBKeyRange.upperBound(cursor.primaryKey))
+        } else {
+          cursor.continue()
+        }
+      }
+    })
+  } catch (e) {
+    // e.g. private browsing in older Firefoxes. Give up, so that we don't log about it forever
+    disabled = true
+    console.warn('unable to store logs', e)
+  }
+}
+
+export function storeLog(log: Log) {
+  if (disabled) {
+    return
+  }
+  pending.push(log)
+  if (pending.length > MAX_LOGS) {
+    pending.shift()
+  }
+  if (!flushTimeout) {
+    flushTimeout = setTimeout(flushLogs, FLUSH_DELAY)
+  }
+}
+
+// All the stored logs, oldest first, or only this session's if they can't be stored.
+// Args that were stored as text are InspectedArgs.
+export async function getAllLogs(): Promise<Log[]> {
+  if (!disabled) {
+    try {
+      await flushLogs()
+      const stored = await withStore('readonly', (store) => store.getAll())
+      return (stored as StoredLog[]).map(deserializeLog)
+    } catch (e) {
+      console.warn('unable to read stored logs', e)
+    }
+  }
+  return logs.map((log) => deserializeLog(serializeLog(log)))
+}
+
+if (ENAFORE_IS_BROWSER) {
+  lifecycle.addEventListener('statechange', (event) => {
+    if (event.newState === 'hidden') {
+      /* no await */ flushLogs()
+    } else if (event.newState === 'frozen') {
+      closeDatabase()
+    }
+  })
+}
@@ -2,11 +2,11 @@
 // https://github.com/tootsuite/mastodon/blob/2ff01f7/app/javascript/mastodon/selectors/index.js#L40-L63
 import { escapeRegExp } from './escapeRegExp.js'
 
-export const createRegexFromFilters = filters => {
-  return new RegExp(filters.map(filter => {
-    let expr = escapeRegExp(filter.phrase)
+export const createRegexFromKeywords = keywords => {
+  return new RegExp(keywords.map(keyword => {
+    let expr = escapeRegExp(keyword.keyword)
 
-    if (filter.whole_word) {
+    if (keyword.whole_word) {
       if (/^[\w]/.test(expr)) {
         expr = `\\b${expr}`
       }
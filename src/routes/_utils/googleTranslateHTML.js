@@ -135,15 +135,22 @@ export default (translate) =>
     const div = doc.createElement('div')
     div.append(...out)
     mergeSiblingElements(div.firstChild)
-    const spoilerEle = div.querySelector('.spoiler_text')
-    let spoiler
-    if (spoilerEle) {
-      spoiler = DOMPurify.sanitize(spoilerEle.innerHTML.trimEnd())
-      spoilerEle.remove()
-    }
     return {
-      spoiler,
-      html: DOMPurify.sanitize(div.innerHTML),
+      ...sanitizeTranslatedHTML(div),
       detected: translated.detected
     }
   }
+
+// The content warning is translated along with the content, inside of a span.spoiler_text
+export function sanitizeTranslatedHTML (element) {
+  const spoilerEle = element.querySelector('.spoiler_text')
+  let spoiler
+  if (spoilerEle) {
+    spoiler = DOMPurify.sanitize(spoilerEle.innerHTML.trimEnd())
+    spoilerEle.remove()
+  }
+  return {
+    spoiler,
+    html: DOMPurify.sanitize(element.innerHTML)
+  }
+}
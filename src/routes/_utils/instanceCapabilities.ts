@@ -0,0 +1,286 @@
+// Works out what an instance's server software can do, from the instance info fetched in
+// _api/instance.js (/api/v2/instance, falling back to /api/v1/instance, plus nodeinfo).
+// Components and actions should check these flags rather than poking at the instance info
+// themselves, so that support for another fork only has to be added here.
+
+export type Software =
+  | 'mastodon'
+  | 'glitch'
+  | 'hometown'
+  | 'fedibird'
+  | 'pleroma'
+  | 'akkoma'
+  | 'gotosocial'
+  | 'misskey'
+  | 'unknown'
+
+// passed to the functions in _api/react.js, and stored in the outbox, so don't change its shape
+export interface ReactionApi {
+  customEmojiReactions: boolean
+  externReactions: boolean
+  isPleroma: boolean
+  isFedibird: boolean
+}
+
+export interface InstanceCapabilities {
+  software: Software
+  // as reported by the server, e.g. "sharkey" for a server in the misskey family
+  softwareName: string | null
+  softwareVersion: string | null
+  // the version of the Mastodon API the server claims to implement
+  mastodonApiVersion: string | null
+  // which of /api/v1/instance or /api/v2/instance the info came from
+  instanceApiVersion: 1 | 2 | null
+  hasNodeInfo: boolean
+  postTypes: string[]
+  localOnlyPosts: boolean
+  sensitiveToggle: boolean
+  pleromaFeatures: string[] | null
+  fedibirdCapabilities: string[] | null
+  reactionApi: ReactionApi
+  // whether we can list who reacted to a post
+  reactionsList: boolean
+  // Pleroma doesn't fetch poll votes from remote instances, so voters_count is unreliable
+  pollVotersCount: boolean
+  // null if the instance info is from before we fetched nodeinfo
+  bubbleTimeline: boolean | null
+  instanceTranslation: boolean
+  // /api/v2/filters, i.e. filters with several keywords, a "warn" action and per-status filters
+  filtersV2: boolean
+  // how many name/value pairs an account can show on its profile
+  maxProfileFields: number
+  // the largest image upload in bytes, and in width * height. null if the server doesn't say
+  imageSizeLimit: number | null
+  imageMatrixLimit: number | null
+  // subscribing to several streams over one connection, see _api/stream/MultiplexedStream.js
+  multiplexedStreaming: boolean
+}
+
+const MISSKEY_FAMILY = [
+  'misskey',
+  'sharkey',
+  'firefish',
+  'calckey',
+  'iceshrimp',
+  'foundkey',
+  'catodon',
+  'cherrypick',
+]
+
+// Mastodon's limit, which most servers don't report
+const DEFAULT_MAX_PROFILE_FIELDS = 4
+
+// e.g. "2.7.2 (compatible; Pleroma 2.5.0)" or "3.0.0 (compatible; Iceshrimp 2023.12)"
+const COMPATIBLE_VERSION_REGEX =
+  /^(\S+) \(compatible; ([^\s;)]+)(?: ([^;)]+))?\)/
+
+// forks of glitch-soc and others that support markdown and HTML posts
+const MARKDOWN_FORK_REGEX = /\+(glitch|cat|nya|types)/
+
+function getSoftware(name: string, version: string): Software {
+  name = name.toLowerCase()
+  if (name === 'mastodon') {
+    if (/\+glitch/.test(version)) {
+      return 'glitch'
+    }
+    if (/\+hometown/.test(version)) {
+      return 'hometown'
+    }
+    return 'mastodon'
+  }
+  if (MISSKEY_FAMILY.includes(name)) {
+    return 'misskey'
+  }
+  switch (name) {
+    case 'fedibird':
+    case 'pleroma':
+    case 'akkoma':
+    case 'gotosocial':
+      return name
+  }
+  return 'unknown'
+}
+
+function detectSoftware(
+  info: any,
+): Pick<
+  InstanceCapabilities,
+  'software' | 'softwareName' | 'softwareVersion' | 'mastodonApiVersion'
+> {
+  const version: string = typeof info.version === 'string' ? info.version : ''
+  const compatible = version.match(COMPATIBLE_VERSION_REGEX)
+  const mastodonApiVersion = compatible ? compatible[1]! : version || null
+  const nodeInfoSoftware = info.nodeInfo && info.nodeInfo.software
+  if (nodeInfoSoftware && typeof nodeInfoSoftware.name === 'string') {
+    return {
+      software: getSoftware(nodeInfoSoftware.name, version),
+      softwareName: nodeInfoSoftware.name,
+      softwareVersion: nodeInfoSoftware.version || null,
+      mastodonApiVersion,
+    }
+  }
+  if (compatible) {
+    return {
+      software: getSoftware(compatible[2]!, version),
+      softwareName: compatible[2]!,
+      softwareVersion: compatible[3] || null,
+      mastodonApiVersion,
+    }
+  }
+  // no nodeinfo, so fall back to fingerprinting the instance info
+  let software: Software = 'unknown'
+  if (typeof info.pleroma === 'object' && info.pleroma) {
+    software = 'pleroma'
+  } else if (Array.isArray(info.fedibird_capabilities)) {
+    software = 'fedibird'
+  } else if (/^\d/.test(version)) {
+    software = getSoftware('mastodon', version)
+  }
+  return {
+    software,
+    softwareName: null,
+    softwareVersion: software === 'unknown' ? null : version,
+    mastodonApiVersion,
+  }
+}
+
+function getPostTypes(info: any, pleromaMetadata: any): string[] {
+  if (pleromaMetadata && Array.isArray(pleromaMetadata.post_formats)) {
+    return pleromaMetadata.post_formats
+  }
+  const mimeTypes = info.configuration?.statuses?.supported_mime_types
+  if (Array.isArray(mimeTypes)) {
+    return mimeTypes
+  }
+  if (
+    typeof info.version === 'string' &&
+    MARKDOWN_FORK_REGEX.test(info.version)
+  ) {
+    return ['text/plain', 'text/markdown', 'text/html']
+  }
+  return ['text/plain']
+}
+
+function getBubbleTimeline(info: any): boolean | null {
+  if (typeof info.nodeInfo === 'undefined') {
+    return null // need updated instance info
+  }
+  const localBubbleInstances = info.nodeInfo?.metadata?.localBubbleInstances
+  return Array.isArray(localBubbleInstances) && localBubbleInstances.length > 0
+}
+
+// Mastodon added /api/v2/filters in the same release as /api/v2/instance. Pleroma and the
+// misskey family implement the latter but not the former.
+function getFiltersV2(info: any, software: Software): boolean {
+  return (
+    info.instanceApiVersion === 2 &&
+    !['pleroma', 'akkoma', 'misskey'].includes(software)
+  )
+}
+
+// Mastodon added the "subscribe" and "unsubscribe" messages to its streaming API in 3.3.0. Other
+// servers may support them too, but there's no way to tell, so they get one connection per stream.
+function getMultiplexedStreaming(
+  software: Software,
+  mastodonApiVersion: string | null,
+): boolean {
+  if (!['mastodon', 'glitch', 'hometown', 'fedibird'].includes(software)) {
+    return false
+  }
+  const match = (mastodonApiVersion || '').match(/^(\d+)\.(\d+)/)
+  if (!match) {
+    return false
+  }
+  const major = parseInt(match[1]!, 10)
+  const minor = parseInt(match[2]!, 10)
+  return major > 3 || (major === 3 && minor >= 3)
+}
+
+export function getInstanceCapabilities(
+  info: any,
+): InstanceCapabilities | null {
+  if (!info) {
+    return null
+  }
+  const pleromaMetadata =
+    typeof info.pleroma === 'object' && info.pleroma
+      ? info.pleroma.metadata || {}
+      : null
+  const pleromaFeatures: string[] | null = pleromaMetadata
+    ? pleromaMetadata.features || []
+    : null
+  const fedibirdCapabilities: string[] | null =
+    typeof info.fedibird_capabilities === 'object' && info.fedibird_capabilities
+      ? info.fedibird_capabilities
+      : null
+  const supportedToggles = info.configuration?.statuses?.supported_toggles
+  const software = detectSoftware(info)
+  return {
+    ...software,
+    instanceApiVersion: info.instanceApiVersion || null,
+    hasNodeInfo: !!info.nodeInfo,
+    postTypes: getPostTypes(info, pleromaMetadata),
+    localOnlyPosts: !!(supportedToggles && supportedToggles.local_only),
+    sensitiveToggle: supportedToggles ? !!supportedToggles.sensitive : true,
+    pleromaFeatures,
+    fedibirdCapabilities,
+    reactionApi: {
+      customEmojiReactions: pleromaFeatures
+        ? pleromaFeatures.includes('custom_emoji_reactions')
+        : true,
+      externReactions: true,
+      isPleroma: !!pleromaFeatures,
+      isFedibird: !!fedibirdCapabilities,
+    },
+    reactionsList: !!(pleromaFeatures || fedibirdCapabilities),
+    pollVotersCount: !pleromaFeatures,
+    bubbleTimeline: getBubbleTimeline(info),
+    instanceTranslation: !!info.configuration?.translation?.enabled,
+    filtersV2: getFiltersV2(info, software.software),
+    maxProfileFields:
+      info.configuration?.accounts?.max_profile_fields ||
+      pleromaMetadata?.fields_limits?.max_fields ||
+      DEFAULT_MAX_PROFILE_FIELDS,
+    // Pleroma only has upload_limit, which applies to any kind of media
+    imageSizeLimit:
+      info.configuration?.media_attachments?.image_size_limit ||
+      info.upload_limit ||
+      null,
+    imageMatrixLimit:
+      info.configuration?.media_attachments?.image_matrix_limit || null,
+    multiplexedStreaming: getMultiplexedStreaming(
+      software.software,
+      software.mastodonApiVersion,
+    ),
+  }
+}
+
+// what we assume before the instance info has loaded
+export const DEFAULT_CAPABILITIES: InstanceCapabilities = {
+  software: 'unknown',
+  softwareName: null,
+  softwareVersion: null,
+  mastodonApiVersion: null,
+  instanceApiVersion: null,
+  hasNodeInfo: false,
+  postTypes: ['text/plain'],
+  localOnlyPosts: false,
+  sensitiveToggle: true,
+  pleromaFeatures: null,
+  fedibirdCapabilities: null,
+  reactionApi: {
+    customEmojiReactions: true,
+    externReactions: true,
+    isPleroma: false,
+    isFedibird: false,
+  },
+  reactionsList: false,
+  pollVotersCount: true,
+  bubbleTimeline: false,
+  instanceTranslation: false,
+  filtersV2: false,
+  maxProfileFields: DEFAULT_MAX_PROFILE_FIELDS,
+  imageSizeLimit: null,
+  imageMatrixLimit: null,
+  multiplexedStreaming: false,
+}
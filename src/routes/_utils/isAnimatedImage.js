@@ -0,0 +1,49 @@
+// Drawing an image onto a canvas only keeps its first frame, so animated PNGs (APNG) and WebPs
+// have to be uploaded as they are. Both formats are made of chunks, and only animated images
+// have an "acTL" chunk (PNG, before the image data) or an "ANIM" chunk (WebP).
+
+const PNG_SIGNATURE_LENGTH = 8
+
+function getFourCC (view, offset) {
+  return String.fromCharCode(
+    view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+  )
+}
+
+// PNG chunks are length (big-endian), type, data and CRC
+function isAnimatedPng (view) {
+  let offset = PNG_SIGNATURE_LENGTH
+  while (offset + 8 <= view.byteLength) {
+    const type = getFourCC(view, offset + 4)
+    if (type === 'acTL') {
+      return true
+    }
+    if (type === 'IDAT' || type === 'IEND') {
+      return false
+    }
+    offset += 12 + view.getUint32(offset)
+  }
+  return false
+}
+
+// WebP is a RIFF file: "RIFF", size, "WEBP", and then chunks of type, size (little-endian) and
+// data, padded to an even length
+function isAnimatedWebp (view) {
+  let offset = 12
+  while (offset + 8 <= view.byteLength) {
+    if (getFourCC(view, offset) === 'ANIM') {
+      return true
+    }
+    const size = view.getUint32(offset + 4, /* littleEndian */ true)
+    offset += 8 + size + (size % 2)
+  }
+  return false
+}
+
+export async function isAnimatedImage (file) {
+  if (file.type !== 'image/png' && file.type !== 'image/webp') {
+    return false
+  }
+  const view = new DataView(await file.arrayBuffer())
+  return file.type === 'image/png' ? isAnimatedPng(view) : isAnimatedWebp(view)
+}
@@ -0,0 +1,28 @@
+import { sanitizeTranslatedHTML } from './googleTranslateHTML.js'
+
+// LibreTranslate can translate HTML directly, so unlike with SimplyTranslate we don't need
+// to split it up into text first.
+export async function translate (html, to, from, url, apiKey) {
+  const response = await fetch(url.replace(/\/+$/, '') + '/translate', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      q: html,
+      source: from,
+      target: to,
+      format: 'html',
+      ...(apiKey && { api_key: apiKey })
+    })
+  })
+  const data = await response.json()
+  if (!response.ok) {
+    throw new Error(data.error || `${response.status} ${response.statusText}`)
+  }
+  const doc = new DOMParser().parseFromString(data.translatedText, 'text/html')
+  return {
+    ...sanitizeTranslatedHTML(doc.body),
+    detected: data.detectedLanguage && data.detectedLanguage.language
+  }
+}
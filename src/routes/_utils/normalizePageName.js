@@ -1,10 +1,15 @@
 // return the page name for purposes of figuring out which part of the nav
 // is highlighted/selected
 export function normalizePageName (page) {
-  // notifications/mentions and settings/foo are a special case; they show as selected in the nav
-  return page === 'notifications/mentions'
-    ? 'notifications'
-    : (page && page.startsWith('settings/'))
-        ? 'settings'
-        : page
+  // notifications/mentions, settings/foo and direct/123 are a special case; they show as selected in the nav
+  if (page === 'notifications/mentions') {
+    return 'notifications'
+  }
+  if (page && page.startsWith('settings/')) {
+    return 'settings'
+  }
+  if (page && page.startsWith('direct/')) {
+    return 'direct'
+  }
+  return page
 }
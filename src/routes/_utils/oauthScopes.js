@@ -0,0 +1,33 @@
+// The OAuth scopes a user can log in with. Mastodon treats the top-level scopes as covering
+// the granular ones, e.g. "read" covers "read:statuses".
+
+export const FULL_ACCESS_SCOPES = 'read write follow push'
+export const READ_ONLY_SCOPES = 'read'
+// the admin scopes aren't covered by "read" and "write", and only work for staff accounts
+export const MODERATOR_SCOPES = FULL_ACCESS_SCOPES + ' admin:read admin:write'
+
+export const LOGIN_SCOPES = {
+  full: FULL_ACCESS_SCOPES,
+  readOnly: READ_ONLY_SCOPES,
+  moderator: MODERATOR_SCOPES
+}
+
+// loginData is what we store in loggedInInstances, i.e. the token response. Logins from
+// before we stored the scope were always full access.
+export function loginHasScope (loginData, scope) {
+  if (!loginData || typeof loginData.scope !== 'string') {
+    return true
+  }
+  const scopes = loginData.scope.split(/\s+/)
+  return scopes.includes(scope) || scopes.includes(scope.split(':')[0])
+}
+
+export function isReadOnlyLogin (loginData) {
+  return !loginHasScope(loginData, 'write')
+}
+
+// Unlike the other scopes, logins from before we stored the scope never had these
+export function loginHasAdminScopes (loginData) {
+  return !!loginData && typeof loginData.scope === 'string' &&
+    loginHasScope(loginData, 'admin:read') && loginHasScope(loginData, 'admin:write')
+}
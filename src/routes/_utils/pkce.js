@@ -0,0 +1,17 @@
+// Proof Key for Code Exchange (RFC 7636). We generate a random verifier before redirecting to
+// the instance, send its SHA-256 hash along with the authorization request, and send the
+// verifier itself when exchanging the code, so that an intercepted code is useless on its own.
+
+import { uint8ArrayToUrlBase64 } from './base64.js'
+
+export const CODE_CHALLENGE_METHOD = 'S256'
+
+export function generateCodeVerifier () {
+  // 32 random bytes gives the recommended 43 characters
+  return uint8ArrayToUrlBase64(crypto.getRandomValues(new Uint8Array(32)))
+}
+
+export async function generateCodeChallenge (codeVerifier) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier))
+  return uint8ArrayToUrlBase64(new Uint8Array(digest))
+}
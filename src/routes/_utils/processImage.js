@@ -0,0 +1,69 @@
+import PromiseWorker from 'promise-worker'
+import { resizeImage, PROCESSABLE_IMAGE_TYPES } from './resizeImage.js'
+import { decodeImage } from './decodeImage.js'
+import { isAnimatedImage } from './isAnimatedImage.js'
+
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp'
+}
+
+let worker
+
+function createCanvas (width, height) {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+// the backup if we can't draw in a worker. Browsers apply the EXIF orientation when drawing an <img>.
+async function processOnMainThread (file, { maxPixels, maxBytes }) {
+  const img = document.createElement('img')
+  const url = URL.createObjectURL(file)
+  try {
+    img.src = url
+    await decodeImage(img)
+    // an <img> that isn't in the document has its natural width and height
+    const { blob, width, height } = await resizeImage(img, file.type, { maxPixels, maxBytes, createCanvas })
+    return { blob, width, height, originalWidth: img.naturalWidth, originalHeight: img.naturalHeight }
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
+
+function getFileName (name, type) {
+  const extension = EXTENSIONS[type]
+  if (!extension) {
+    return name
+  }
+  return (name || 'image').replace(/\.[^.]*$/, '') + '.' + extension
+}
+
+// Downscales and re-encodes an image to fit within the instance's limits, which also strips
+// its metadata. Resolves to { file, width, height, originalWidth, originalHeight }, or null
+// if it isn't an image we can process, e.g. because it's animated.
+export async function processImage (file, { maxPixels, maxBytes }) {
+  if (!PROCESSABLE_IMAGE_TYPES.includes(file.type) || await isAnimatedImage(file)) {
+    return null
+  }
+  worker = worker || new PromiseWorker(new Worker(new URL('../_workers/processImage.js', import.meta.url)))
+  let result
+  try {
+    result = await worker.postMessage({ file, maxPixels, maxBytes })
+  } catch (e) {
+    console.warn('could not process image in worker', e)
+  }
+  if (!result) {
+    result = await processOnMainThread(file, { maxPixels, maxBytes })
+  }
+  const { blob, width, height, originalWidth, originalHeight } = result
+  return {
+    file: new File([blob], getFileName(file.name, blob.type), { type: blob.type, lastModified: file.lastModified }),
+    width,
+    height,
+    originalWidth,
+    originalHeight
+  }
+}
@@ -0,0 +1,18 @@
+// A browser push subscription is tied to a single application server key, and Mastodon doesn't
+// tell us which instance a push came from. So each instance gets its own service worker
+// registration with its own push subscription, and the service worker can tell the instance
+// from the scope it was registered with.
+
+const PUSH_SCOPE_PREFIX = '/push/'
+
+export function getPushScope (origin, instanceName) {
+  return `${origin}${PUSH_SCOPE_PREFIX}${encodeURIComponent(instanceName)}/`
+}
+
+export function getInstanceNameFromPushScope (scope) {
+  const { pathname } = new URL(scope)
+  if (!pathname.startsWith(PUSH_SCOPE_PREFIX)) {
+    return null
+  }
+  return decodeURIComponent(pathname.substring(PUSH_SCOPE_PREFIX.length).replace(/\/$/, '')) || null
+}
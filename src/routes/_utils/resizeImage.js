@@ -0,0 +1,66 @@
+// Draws an image onto a canvas no bigger than maxPixels, and encodes it, lowering the quality and
+// then the size until it fits in maxBytes. Re-encoding drops all metadata, including EXIF and GPS.
+// Used both in the image processing worker (with an OffscreenCanvas) and on the main thread.
+
+const QUALITY = 0.9
+const MIN_QUALITY = 0.6
+const QUALITY_STEP = 0.1
+const SCALE_STEP = 0.75
+const MAX_ATTEMPTS = 12
+
+// formats we can decode and re-encode without losing anything important, as long as they're not
+// animated, see isAnimatedImage()
+export const PROCESSABLE_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp']
+
+export function getTargetDimensions (width, height, maxPixels) {
+  if (!maxPixels || width * height <= maxPixels) {
+    return { width, height }
+  }
+  const scale = Math.sqrt(maxPixels / (width * height))
+  return {
+    width: Math.max(1, Math.floor(width * scale)),
+    height: Math.max(1, Math.floor(height * scale))
+  }
+}
+
+function canvasToBlob (canvas, type, quality) {
+  if (typeof canvas.convertToBlob === 'function') { // OffscreenCanvas
+    return canvas.convertToBlob({ type, quality })
+  }
+  return new Promise(resolve => canvas.toBlob(resolve, type, quality))
+}
+
+// image is anything drawImage() accepts, with a width and height (e.g. an ImageBitmap).
+// createCanvas(width, height) returns an OffscreenCanvas or a <canvas>.
+export async function resizeImage (image, type, { maxPixels, maxBytes, createCanvas }) {
+  let { width, height } = getTargetDimensions(image.width, image.height, maxPixels)
+  // PNGs and WebPs may be transparent, so only turn them into JPEGs if they're too big
+  let outputType = type === 'image/png' || type === 'image/webp' ? type : 'image/jpeg'
+  let quality = QUALITY
+  for (let i = 0; i < MAX_ATTEMPTS; i++) {
+    const canvas = createCanvas(width, height)
+    const context = canvas.getContext('2d')
+    if (outputType === 'image/jpeg') {
+      // JPEG has no transparency, and transparent pixels would otherwise turn black
+      context.fillStyle = '#fff'
+      context.fillRect(0, 0, width, height)
+    }
+    context.drawImage(image, 0, 0, width, height)
+    const blob = await canvasToBlob(canvas, outputType, quality)
+    if (!blob) {
+      throw new Error('Unable to encode image')
+    }
+    if (!maxBytes || blob.size <= maxBytes) {
+      return { blob, width, height }
+    }
+    if (outputType !== 'image/jpeg') {
+      outputType = 'image/jpeg'
+    } else if (quality > MIN_QUALITY) {
+      quality -= QUALITY_STEP
+    } else {
+      width = Math.max(1, Math.floor(width * SCALE_STEP))
+      height = Math.max(1, Math.floor(height * SCALE_STEP))
+    }
+  }
+  throw new Error('Unable to make the image small enough')
+}
@@ -1,16 +1,22 @@
-export function getScrollContainer () {
-  return document.scrollingElement
+// Most lists scroll the whole document, but some (e.g. deck columns) have their
+// own subscroller. In that case, pass the scrolling element in as `element`.
+
+export function getScrollContainer (element) {
+  return element || document.scrollingElement
 }
 
-export function addScrollListener (listener) {
-  document.addEventListener('scroll', listener)
+export function addScrollListener (listener, element) {
+  (element || document).addEventListener('scroll', listener)
 }
 
-export function removeScrollListener (listener) {
-  document.removeEventListener('scroll', listener)
+export function removeScrollListener (listener, element) {
+  (element || document).removeEventListener('scroll', listener)
 }
 
-export function getOffsetHeight () {
+export function getOffsetHeight (element) {
+  if (element) {
+    return element.offsetHeight
+  }
   // in a subscroller, this would be element.offsetHeight, but here
   // document.scrollingElement.offsetHeight is too short for some reason.
   // This one is exact, such that scrollHeight - scrollTop - offsetHeight === 0
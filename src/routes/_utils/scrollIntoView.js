@@ -5,7 +5,7 @@ import {
 import { smoothScroll } from './smoothScroll.js'
 
 let mainNavElement
-function getTopOverlay () {
+export function getTopOverlay () {
   if (!mainNavElement) {
     mainNavElement = document.getElementById('main-nav')
   }
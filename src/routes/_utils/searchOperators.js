@@ -0,0 +1,57 @@
+// Mastodon's full-text search understands operators like "from:user has:media". The query
+// builder on the search page edits them as separate fields, so we split a query into the
+// operators it knows about plus the remaining free text, and join them back together.
+
+const OPERATOR_REGEX = /(?:^|\s)(from|has|is|in|before|after):(\S+)/g
+
+// simple flags, i.e. operators with a single value we support
+const FLAGS = {
+  hasMedia: 'has:media',
+  isReply: 'is:reply',
+  inLibrary: 'in:library'
+}
+
+export function parseSearchQuery (query) {
+  const parsed = {
+    text: '',
+    from: '',
+    before: '',
+    after: '',
+    hasMedia: false,
+    isReply: false,
+    inLibrary: false
+  }
+  const flagsByOperator = new Map(Object.entries(FLAGS).map(([key, operator]) => [operator, key]))
+  parsed.text = (query || '').replace(OPERATOR_REGEX, (match, operator, value) => {
+    const flag = flagsByOperator.get(`${operator}:${value}`)
+    if (flag) {
+      parsed[flag] = true
+      return ''
+    }
+    if (operator === 'from' || operator === 'before' || operator === 'after') {
+      parsed[operator] = value
+      return ''
+    }
+    return match // e.g. "has:poll", leave it in the free text
+  }).replace(/\s+/g, ' ').trim()
+  return parsed
+}
+
+export function buildSearchQuery (parsed) {
+  const parts = [parsed.text && parsed.text.trim()]
+  if (parsed.from) {
+    parts.push(`from:${parsed.from.trim().replace(/^@?/, '@')}`)
+  }
+  for (const [key, operator] of Object.entries(FLAGS)) {
+    if (parsed[key]) {
+      parts.push(operator)
+    }
+  }
+  if (parsed.after) {
+    parts.push(`after:${parsed.after}`)
+  }
+  if (parsed.before) {
+    parts.push(`before:${parsed.before}`)
+  }
+  return parts.filter(Boolean).join(' ')
+}
@@ -0,0 +1,33 @@
+import { loginHasAdminScopes } from './oauthScopes.js'
+
+// What a staff account is allowed to do, from the role in verify_credentials. This is only in
+// Mastodon 4.0 and later, and other servers don't implement the Mastodon admin API anyway.
+// role.permissions is a bitmask in a string, see UserRole::FLAGS in Mastodon.
+const PERMISSION_FLAGS = {
+  administrator: 1 << 0,
+  manageReports: 1 << 4,
+  manageFederation: 1 << 5,
+  manageUsers: 1 << 10
+}
+
+// null if the account isn't staff. hasAdminScopes is whether the login can use the admin API;
+// staff have to log in with moderator access for that.
+export function getStaffPermissions (verifyCredentials, loginData) {
+  const role = verifyCredentials && verifyCredentials.role
+  const flags = role ? parseInt(role.permissions, 10) : 0
+  if (!flags) {
+    return null
+  }
+  const can = flag => !!(flags & (PERMISSION_FLAGS.administrator | PERMISSION_FLAGS[flag]))
+  const permissions = {
+    roleName: role.name,
+    manageReports: can('manageReports'),
+    manageUsers: can('manageUsers'),
+    manageFederation: can('manageFederation'),
+    hasAdminScopes: loginHasAdminScopes(loginData)
+  }
+  if (!permissions.manageReports && !permissions.manageUsers && !permissions.manageFederation) {
+    return null // e.g. the "everyone" role, which can only invite users
+  }
+  return permissions
+}
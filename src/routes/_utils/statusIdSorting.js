@@ -34,3 +34,8 @@ export function compareTimelineItemSummaries (left, right) {
   const rightPadded = toPaddedBigInt(right.id)
   return leftPadded < rightPadded ? -1 : leftPadded === rightPadded ? 0 : 1
 }
+
+// whether one status or notification id is newer than the other, or the other isn't set
+export function isNewerId (id, otherId) {
+  return !otherId || toPaddedBigInt(id) > toPaddedBigInt(otherId)
+}
@@ -0,0 +1,64 @@
+import {
+  HOME_REBLOGS,
+  HOME_REPLIES,
+  NOTIFICATION_FAVORITES,
+  NOTIFICATION_FOLLOWS, NOTIFICATION_MENTIONS, NOTIFICATION_POLLS,
+  NOTIFICATION_REBLOGS, NOTIFICATION_SUBSCRIPTIONS
+} from '../_static/instanceSettings.js'
+import {
+  WORD_FILTER_CONTEXT_ACCOUNT,
+  WORD_FILTER_CONTEXT_HOME,
+  WORD_FILTER_CONTEXT_NOTIFICATIONS,
+  WORD_FILTER_CONTEXT_PUBLIC, WORD_FILTER_CONTEXT_THREAD
+} from '../_static/wordFilters.js'
+import { createFilterFunction } from './createFilterFunction.js'
+import { get } from './lodash-lite.js'
+
+// Which instance setting controls each filter, per timeline. Timelines not listed here show everything.
+export const TIMELINE_FILTER_SETTINGS = {
+  showReblogs: { home: HOME_REBLOGS, notifications: NOTIFICATION_REBLOGS },
+  showReplies: { home: HOME_REPLIES },
+  showFollows: { notifications: NOTIFICATION_FOLLOWS },
+  showFavs: { notifications: NOTIFICATION_FAVORITES },
+  showMentions: { notifications: NOTIFICATION_MENTIONS },
+  showPolls: { notifications: NOTIFICATION_POLLS },
+  showSubscriptions: { notifications: NOTIFICATION_SUBSCRIPTIONS }
+}
+
+export function getTimelineFilterSetting (instanceSettings, instanceName, timeline, timelinesToSettingsKeys) {
+  const settingsKey = timelinesToSettingsKeys[timeline]
+  return settingsKey ? get(instanceSettings, [instanceName, settingsKey], true) : true
+}
+
+export function getWordFilterContextForTimeline (timeline) {
+  if (!timeline) {
+    return
+  }
+  if (timeline === 'home' || timeline.startsWith('list/')) {
+    return WORD_FILTER_CONTEXT_HOME
+  }
+  if (timeline === 'notifications' || timeline.startsWith('notifications/')) {
+    return WORD_FILTER_CONTEXT_NOTIFICATIONS
+  }
+  if (timeline === 'federated' || timeline === 'bubble' || timeline === 'local' || timeline === 'trending' ||
+    timeline.startsWith('tag/')) {
+    return WORD_FILTER_CONTEXT_PUBLIC
+  }
+  if (timeline.startsWith('account/')) {
+    return WORD_FILTER_CONTEXT_ACCOUNT
+  }
+  if (timeline.startsWith('status/')) {
+    return WORD_FILTER_CONTEXT_THREAD
+  }
+  // return undefined otherwise
+}
+
+// Same as the timelineFilterFunction computation, but for any timeline rather than just the current one
+export function createFilterFunctionForTimeline (instanceSettings, instanceName, timeline) {
+  const setting = key => getTimelineFilterSetting(instanceSettings, instanceName, timeline, TIMELINE_FILTER_SETTINGS[key])
+  return createFilterFunction(
+    setting('showReblogs'), setting('showReplies'), setting('showFollows'), setting('showFavs'),
+    setting('showMentions'), setting('showPolls'), setting('showSubscriptions'),
+    getWordFilterContextForTimeline(timeline)
+  )
+}
@@ -1,4 +1,4 @@
-import { computeFilterContextsForStatusOrNotification } from './computeFilterContextsForStatusOrNotification.js'
+import { computeFiltersForStatusOrNotification } from './computeFiltersForStatusOrNotification.js'
 import { store } from '../_store/store.js'
 
 export interface TimelineSummary {
@@ -10,6 +10,7 @@ export interface TimelineSummary {
   statusId: string | undefined
   type: string | undefined
   filterContexts: unknown
+  filterWarnings: unknown
   start: boolean
   end: boolean
   replies: undefined
@@ -26,8 +27,12 @@ export function timelineItemToSummary(
   // 1. Avoid computing html-to-text (expensive) for users who don't have any filters (probably most users)
   // 2. Avoiding keeping the entire html-to-text in memory at all times for all summaries
   // 3. Filters probably change infrequently. When they do, we can just update the summaries
-  const { unexpiredInstanceFilterRegexes } = store.get()
-  const contextsToRegex = unexpiredInstanceFilterRegexes[instanceName]
+  const { unexpiredInstanceFilterMatchers } = store.get()
+  const { filterContexts, filterWarnings } =
+    computeFiltersForStatusOrNotification(
+      item,
+      unexpiredInstanceFilterMatchers[instanceName],
+    )
 
   return {
     id: item.id,
@@ -37,10 +42,8 @@ export function timelineItemToSummary(
     reblogId: (item.reblog && item.reblog.id) || undefined,
     quoteId: item.quote_id || undefined,
     type: item.type || undefined,
-    filterContexts: computeFilterContextsForStatusOrNotification(
-      item,
-      contextsToRegex,
-    ),
+    filterContexts,
+    filterWarnings,
     start: false,
     end: false,
     replies: undefined,
@@ -0,0 +1,5 @@
+// A trend's history is its daily usage, newest day first, with the counts as strings. Like
+// Mastodon's own UI, count the people who used it today and yesterday.
+export function countRecentTrendAccounts (history) {
+  return (history || []).slice(0, 2).reduce((sum, { accounts }) => sum + (parseInt(accounts, 10) || 0), 0)
+}
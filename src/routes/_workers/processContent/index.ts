@@ -15,7 +15,12 @@ const {
 } = html
 
 registerPromiseWorker(
-  async ({ originalStatus, autoplayGifs, currentVerifyCredentials }) => {
+  async ({
+    originalStatus,
+    autoplayGifs,
+    currentVerifyCredentials,
+    searchLabel,
+  }) => {
     const mfmContent =
       originalStatus.content_type === 'text/x.misskeymarkdown'
         ? originalStatus.text
@@ -59,6 +64,7 @@ registerPromiseWorker(
         mentionsByURL,
         mentionsByAcct,
         mentionsByLowerAcct,
+        searchLabel,
       })
     } else {
       dom = renderPostHTMLToDOM({
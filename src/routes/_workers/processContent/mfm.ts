@@ -47,6 +47,7 @@ export function renderMfm({
   mentionsByURL,
   mentionsByAcct,
   mentionsByLowerAcct,
+  searchLabel,
 }: {
   mfmContent: string
   htmlContent: string
@@ -55,6 +56,8 @@ export function renderMfm({
   mentionsByURL: Map<string, Mention>
   mentionsByAcct: Map<string, Mention>
   mentionsByLowerAcct: Map<string, Mention>
+  // the aria-label of the button in a search block
+  searchLabel: string
 }) {
   const mentionUrlsFromHtml: string[] = []
   function walkElements(node: DefaultTreeAdapterMap['parentNode']): void {
@@ -654,7 +657,7 @@ export function renderMfm({
             const button = defaultTreeAdapter.createElement('button', HTML, [
               {
                 name: 'aria-label',
-                value: 'intl.search',
+                value: searchLabel,
               },
               {
                 name: 'class',
@@ -0,0 +1,19 @@
+import registerPromiseWorker from 'promise-worker/register.js'
+import { resizeImage } from '../_utils/resizeImage.js'
+
+const createCanvas = (width, height) => new OffscreenCanvas(width, height)
+
+// Resolves to null if this browser can't draw in a worker, so the caller has to do it instead
+registerPromiseWorker(async ({ file, maxPixels, maxBytes }) => {
+  if (typeof OffscreenCanvas !== 'function' || typeof self.createImageBitmap !== 'function') {
+    return null
+  }
+  // rotates the image according to its EXIF orientation, since the EXIF data won't survive
+  const bitmap = await self.createImageBitmap(file, { imageOrientation: 'from-image' })
+  try {
+    const { blob, width, height } = await resizeImage(bitmap, file.type, { maxPixels, maxBytes, createCanvas })
+    return { blob, width, height, originalWidth: bitmap.width, originalHeight: bitmap.height }
+  } finally {
+    bitmap.close()
+  }
+})
@@ -12,13 +12,15 @@ import { getLastTheme, getIconColors } from './routes/_database/theme.js'
 import { getKnownInstances } from './routes/_database/knownInstances.js'
 import { basename } from './routes/_api/utils.js'
 import { canonicalStatusUrl } from './routes/_utils/canonicalStatusUrl.js'
+import { getInstanceNameFromPushScope } from './routes/_utils/pushScope.js'
+import { isNewerId } from './routes/_utils/statusIdSorting.js'
 
 const timestamp = process.env.SAPPER_TIMESTAMP
 const ASSETS = `assets_${timestamp}`
 const WEBPACK_ASSETS = `webpack_assets_${timestamp}`
 
 const ASSETS_ON_DEMAND_CACHE = /\.woff2?$|traineddata\.gz$/
-const WEBPACK_ASSETS_ON_DEMAND_CACHE = /\.woff2?$|\.ttf$|tesseract-core\.wasm$|\$(polyfill|katex)\$/
+const WEBPACK_ASSETS_ON_DEMAND_CACHE = /\.woff2?$|\.ttf$|tesseract-core\.wasm$|\$(polyfill|katex|intl)\$/
 
 // `static` is an array of everything in the `static` directory
 const assets = __assets__
@@ -42,7 +44,15 @@ const webpackAssets = __shell__
 // match the pages in your src
 const routes = __routes__
 
+// If this is one of the per-instance registrations used for push notifications, then it's
+// only there to receive pushes, so it doesn't need to cache anything or handle any requests.
+const pushInstanceName = getInstanceNameFromPushScope(self.registration.scope)
+
 self.addEventListener('install', event => {
+  if (pushInstanceName) {
+    self.skipWaiting()
+    return
+  }
   event.waitUntil(
     (async () => {
       await Promise.all([
@@ -57,6 +67,9 @@ self.addEventListener('install', event => {
 })
 
 self.addEventListener('activate', event => {
+  if (pushInstanceName) {
+    return
+  }
   event.waitUntil(
     (async () => {
       const keys = await caches.keys()
@@ -91,6 +104,9 @@ self.addEventListener('activate', event => {
 })
 
 self.addEventListener('fetch', event => {
+  if (pushInstanceName) {
+    return
+  }
   const req = event.request
   const url = new URL(req.url)
 
@@ -188,52 +204,99 @@ self.addEventListener('push', event => {
   event.waitUntil(
     (async () => {
       const data = event.data.json()
-      // If there is only once instance, then we know for sure that the push notification came from it
-      const knownInstances = await getKnownInstances()
-      if (knownInstances.length !== 1) {
-        // TODO: Mastodon currently does not tell us which instance the push notification came from.
-        // So we have to guess and currently just choose the first one. We _could_ locally store the instance that
-        // currently has push notifications enabled, but this would only work for one instance at a time.
-        // See: https://github.com/mastodon/mastodon/issues/22183
-        await showSimpleNotification(data)
+      const instanceName = pushInstanceName || await getLegacyPushInstanceName()
+      if (!instanceName) {
+        await showSimpleNotification(data, null)
         return
       }
 
-      const origin = basename(knownInstances[0])
       try {
         const notification = await get(
-          `${origin}/api/v1/notifications/${data.notification_id}`,
+          `${basename(instanceName)}/api/v1/notifications/${data.notification_id}`,
           {
             Authorization: `Bearer ${data.access_token}`
           },
           { timeout: 2000 }
         )
 
-        await showRichNotification(data, notification)
+        await showRichNotification(data, notification, instanceName)
       } catch (e) {
-        await showSimpleNotification(data)
+        await showSimpleNotification(data, instanceName)
       }
     })()
   )
 })
 
-async function showSimpleNotification (data) {
+// Subscriptions made before each instance had its own registration all live on the main
+// registration. In that case we can only tell where a push came from if there is just one instance.
+async function getLegacyPushInstanceName () {
+  const knownInstances = await getKnownInstances()
+  return knownInstances.length === 1 ? knownInstances[0] : null
+}
+
+// Links from notifications say which instance to switch to, see inline-script.js
+function getNotificationUrl (path, instanceName, params = {}) {
+  const url = new URL(path, self.location.origin)
+  if (instanceName) {
+    url.searchParams.set('instance', instanceName)
+  }
+  for (const [key, value] of Object.entries(params)) {
+    url.searchParams.set(key, value)
+  }
+  return url.href
+}
+
+async function showSimpleNotification (data, instanceName) {
   await self.registration.showNotification(data.title, {
     badge: '/icon-push-badge.png',
     icon: data.icon,
     body: data.body,
-    tag: data.notification_id,
+    tag: instanceName ? `${instanceName}/${data.notification_id}` : data.notification_id,
     data: {
-      url: `${self.origin}/notifications`
+      instance: instanceName && basename(instanceName),
+      url: getNotificationUrl('/notifications', instanceName)
     }
   })
 }
 
-async function showRichNotification (data, notification) {
+const dismissAction = {
+  action: 'dismiss',
+  title: 'intl.dismissNotification'
+}
+
+const markReadAction = {
+  action: 'mark-read',
+  title: 'intl.markNotificationsRead'
+}
+
+// Browsers only show the first few actions (e.g. two in Chrome), so these are in order of importance
+function getActions (actions) {
+  const maxActions = (self.Notification && self.Notification.maxActions) || actions.length
+  return actions.filter(Boolean).slice(0, maxActions)
+}
+
+// reports and sign-ups open in the moderation pages, since only staff get those
+function getAccountNotificationPath (notification) {
+  if (notification.type === 'admin.report' && notification.report) {
+    return `/admin/reports/${notification.report.id}`
+  }
+  if (notification.type === 'admin.sign_up') {
+    return `/admin/accounts/${notification.account.id}`
+  }
+  return `/accounts/${notification.account.id}`
+}
+
+async function showRichNotification (data, notification, instanceName) {
   const { icon, body } = data
-  const tag = notification.id
-  const { origin } = self.location
+  // notification IDs are only unique within an instance
+  const tag = `${instanceName}/${notification.id}`
   const badge = '/icon-push-badge.png'
+  // everything the actions need to call the API
+  const actionData = {
+    instance: basename(instanceName),
+    access_token: data.access_token,
+    notification_id: notification.id
+  }
 
   switch (notification.type) {
     case 'follow':
@@ -246,8 +309,18 @@ async function showRichNotification (data, notification) {
         body,
         tag,
         data: {
-          url: `${origin}/accounts/${notification.account.id}`
-        }
+          ...actionData,
+          account_id: notification.account.id,
+          url: getNotificationUrl(getAccountNotificationPath(notification), instanceName)
+        },
+        actions: getActions([
+          notification.type === 'follow' && {
+            action: 'follow-back',
+            title: 'intl.followBack'
+          },
+          markReadAction,
+          dismissAction
+        ])
       })
       break
     }
@@ -261,16 +334,23 @@ async function showRichNotification (data, notification) {
         body,
         tag,
         data: {
-          url: origin + canonicalStatusUrl(notification.status)
-        }
+          ...actionData,
+          url: getNotificationUrl(canonicalStatusUrl(notification.status), instanceName)
+        },
+        actions: getActions([markReadAction, dismissAction])
       })
       break
     }
     case 'mention': {
-      const isPublic = ['public', 'unlisted'].includes(
-        notification.status.visibility
-      )
-      const actions = [
+      const { status } = notification
+      const isPublic = ['public', 'unlisted'].includes(status.visibility)
+      const actions = getActions([
+        {
+          action: 'reply',
+          type: 'text', // inline reply, where supported
+          title: 'intl.reply',
+          placeholder: 'intl.pushReplyPlaceholder'
+        },
         isPublic && {
           action: 'reblog',
           icon: '/icon-push-fa-retweet.png', // generated manually from font-awesome-svg
@@ -280,8 +360,14 @@ async function showRichNotification (data, notification) {
           action: 'favourite',
           icon: '/icon-push-fa-star.png', // generated manually from font-awesome-svg
           title: 'intl.favorite'
-        }
-      ].filter(Boolean)
+        },
+        markReadAction,
+        dismissAction
+      ])
+      // Pleroma includes the author in the mentions as well
+      const mentions = [status.account].concat(status.mentions || [])
+        .filter((account, i, accounts) => accounts.findIndex(({ id }) => id === account.id) === i)
+        .map(({ id, acct }) => ({ id, acct }))
 
       await self.registration.showNotification(data.title, {
         badge,
@@ -289,10 +375,14 @@ async function showRichNotification (data, notification) {
         body,
         tag,
         data: {
-          instance: new URL(data.icon).origin,
-          status_id: notification.status.id,
-          access_token: data.access_token,
-          url: origin + canonicalStatusUrl(notification.status)
+          ...actionData,
+          status_id: status.id,
+          visibility: status.visibility,
+          spoiler_text: status.spoiler_text,
+          mentions,
+          url: getNotificationUrl(canonicalStatusUrl(status), instanceName),
+          // handled by showComposeDialogObservers.js
+          reply_url: getNotificationUrl('/', instanceName, { compose: 'true', replyTo: status.id })
         },
         actions
       })
@@ -328,28 +418,110 @@ const updateNotificationWithoutAction = (notification, action) => {
   )
 }
 
+// Reply with the same visibility and content warning as the post, mentioning everyone in it except ourselves
+async function postReply (data, text) {
+  const headers = { Authorization: `Bearer ${data.access_token}` }
+  const account = await get(`${data.instance}/api/v1/accounts/verify_credentials`, headers)
+  const handles = data.mentions
+    .filter(({ id }) => id !== account.id)
+    .map(({ acct }) => `@${acct} `)
+    .join('')
+  await post(`${data.instance}/api/v1/statuses`, {
+    status: handles + text,
+    in_reply_to_id: data.status_id,
+    visibility: data.visibility,
+    spoiler_text: data.spoiler_text || undefined
+  }, headers)
+}
+
+// close every notification from this instance, since they've all been read now
+// closes the instance's notifications up to and including lastReadId, i.e. not the newer ones
+async function closeReadInstanceNotifications (instance, lastReadId) {
+  const notifications = await self.registration.getNotifications()
+  for (const notification of notifications) {
+    const { data } = notification
+    if (data && data.instance === instance && data.notification_id && !isNewerId(data.notification_id, lastReadId)) {
+      notification.close()
+    }
+  }
+}
+
 self.addEventListener('notificationclick', event => {
   event.waitUntil(
     (async () => {
+      const { data } = event.notification
       switch (event.action) {
         case 'reblog': {
-          const url = `${event.notification.data.instance}/api/v1/statuses/${event.notification.data.status_id}/reblog`
+          const url = `${data.instance}/api/v1/statuses/${data.status_id}/reblog`
           await post(url, null, {
-            Authorization: `Bearer ${event.notification.data.access_token}`
+            Authorization: `Bearer ${data.access_token}`
           })
           await updateNotificationWithoutAction(event.notification, 'reblog')
           break
         }
         case 'favourite': {
-          const url = `${event.notification.data.instance}/api/v1/statuses/${event.notification.data.status_id}/favourite`
+          const url = `${data.instance}/api/v1/statuses/${data.status_id}/favourite`
           await post(url, null, {
-            Authorization: `Bearer ${event.notification.data.access_token}`
+            Authorization: `Bearer ${data.access_token}`
           })
           await updateNotificationWithoutAction(event.notification, 'favourite')
           break
         }
+        case 'reply': {
+          let replyUrl = data.reply_url
+          if (event.reply) {
+            try {
+              await postReply(data, event.reply)
+              await event.notification.close()
+              break
+            } catch (e) {
+              // don't lose what the user wrote, let them try again from the compose dialog
+              console.error(e)
+              const url = new URL(replyUrl)
+              url.searchParams.set('text', event.reply)
+              replyUrl = url.href
+            }
+          }
+          // inline replies aren't supported, or posting failed
+          await self.clients.openWindow(replyUrl)
+          await event.notification.close()
+          break
+        }
+        case 'follow-back': {
+          const url = `${data.instance}/api/v1/accounts/${data.account_id}/follow`
+          await post(url, null, {
+            Authorization: `Bearer ${data.access_token}`
+          })
+          await updateNotificationWithoutAction(event.notification, 'follow-back')
+          break
+        }
+        case 'dismiss': {
+          const url = `${data.instance}/api/v1/notifications/${data.notification_id}/dismiss`
+          await post(url, null, {
+            Authorization: `Bearer ${data.access_token}`
+          })
+          await event.notification.close()
+          break
+        }
+        case 'mark-read': {
+          // notifications are sorted by ID, so everything up to this one has been read. The server
+          // replaces the marker, so don't move it backward if the user has already read further.
+          const url = `${data.instance}/api/v1/markers`
+          const headers = {
+            Authorization: `Bearer ${data.access_token}`
+          }
+          const markers = await get(`${url}?timeline[]=notifications`, headers)
+          const lastReadId = markers && markers.notifications && markers.notifications.last_read_id
+          if (!lastReadId || isNewerId(data.notification_id, lastReadId)) {
+            await post(url, {
+              notifications: { last_read_id: data.notification_id }
+            }, headers)
+          }
+          await closeReadInstanceNotifications(data.instance, data.notification_id)
+          break
+        }
         default: {
-          await self.clients.openWindow(event.notification.data.url)
+          await self.clients.openWindow(data.url)
           await event.notification.close()
           break
         }
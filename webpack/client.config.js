@@ -1,4 +1,4 @@
-import { DEFAULT_LOCALE, LOCALE } from '../src/routes/_static/intl.js'
+import { LOCALE } from '../src/routes/_static/intl.js'
 import path from 'path'
 import webpack from 'webpack'
 import config from 'sapper/config/webpack.js'
@@ -21,10 +21,10 @@ import urlRegex from '../src/routes/_utils/urlRegexSource.js'
 import fr from 'emoji-picker-element/i18n/fr.js'
 import de from 'emoji-picker-element/i18n/de.js'
 import es from 'emoji-picker-element/i18n/es.js'
+import ruRU from 'emoji-picker-element/i18n/ru_RU.js'
 
-const emojiPickerLocales = { fr, de, es }
-
-const emojiPickerI18n = LOCALE !== DEFAULT_LOCALE && emojiPickerLocales[LOCALE]
+// English is already bundled with emoji-picker-element
+const emojiPickerLocales = { fr, de, es, 'ru-RU': ruRU }
 
 const output = Object.assign(config.client.output(), {
   // enables HMR in workers
@@ -68,9 +68,16 @@ export default {
       },
       {
         test: /\.[tj]s$/,
-        exclude: /node_modules/,
+        exclude: [/node_modules/, /src[\\/]intl[\\/]/],
         use: {
-          loader: path.join(__dirname, './svelte-intl-loader.cjs')
+          loader: path.join(__dirname, './svelte-intl-loader.cjs'),
+          options: { runtime: true }
+        }
+      },
+      {
+        test: /src[\\/]intl[\\/][^\\/]+\.js$/,
+        use: {
+          loader: path.join(__dirname, './intl-messages-loader.cjs')
         }
       },
       {
@@ -84,6 +91,10 @@ export default {
       {
         test: /\.html$/,
         use: [
+          {
+            loader: path.join(__dirname, './svelte-intl-loader.cjs'),
+            options: { compiled: true }
+          },
           {
             loader: 'svelte-loader',
             options: {
@@ -95,7 +106,8 @@ export default {
             }
           },
           {
-            loader: path.join(__dirname, './svelte-intl-loader.cjs')
+            loader: path.join(__dirname, './svelte-intl-loader.cjs'),
+            options: { runtime: true }
           }
         ]
       }
@@ -131,9 +143,7 @@ export default {
       'process.env.INLINE_SVGS': JSON.stringify(inlineSvgs),
       'process.env.URL_REGEX': urlRegex().toString(),
       'process.env.LOCALE': JSON.stringify(LOCALE),
-      'process.env.EMOJI_PICKER_I18N': emojiPickerI18n
-        ? JSON.stringify(emojiPickerI18n)
-        : 'undefined',
+      'process.env.EMOJI_PICKER_I18N': JSON.stringify(emojiPickerLocales),
       ENAFORE_VERSION: JSON.stringify(version),
       ENAFORE_IS_SERVICE_WORKER: 'false',
       ENAFORE_IS_BROWSER: 'true',
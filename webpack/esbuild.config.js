@@ -17,6 +17,7 @@ const buildFile = (/** @type {string} */ input) =>
 Promise.all([
   buildFile('./webpack/webpack.config.js'),
   buildFile('./webpack/svelte-intl-loader.js'),
+  buildFile('./webpack/intl-messages-loader.js'),
   buildFile('./webpack/csso-loader.js')
 ]).catch((e) => {
   console.error(e)
@@ -0,0 +1,10 @@
+// Turn a file in src/intl into the messages that the client loads for that interface language
+// (see src/routes/_intl/loadIntl.js). They're parsed ahead of time like the ones that
+// svelte-intl-loader inlines, and any that haven't been translated are in the default locale.
+import path from 'path'
+import { getIntlMessages } from '../bin/getIntl.js'
+
+export default function () {
+  const locale = path.basename(this.resourcePath, '.js')
+  return `export default ${JSON.stringify(getIntlMessages(locale))}`
+}
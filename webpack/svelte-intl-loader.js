@@ -1,10 +1,80 @@
 // Inject intl statements into a Svelte v2 HTML file as well as some JS files like timeago.js
 // We do this for perf reasons, to make the output smaller and avoid needing to have a huge JSON file of translations
-import { getIntl } from '../bin/getIntl.js'
+//
+// In the client, the interface language is picked at runtime, so 'intl.foo' is replaced with a lookup
+// in the messages in _static/intl.js instead (the `runtime` option). Svelte v2 templates can't refer to
+// imports, so in those it's replaced with __intl.foo, which Svelte compiles to ctx.__intl.foo, and this
+// loader runs again on Svelte's output (the `compiled` option) to turn that back into the import.
+import path from 'path'
+import { getIntl, warningOrError } from '../bin/getIntl.js'
+
+const INTL_REGEX = /['"]intl\.([^'"]+)['"]/g
+const SCRIPT_REGEX = /(<script[^>]*>)([\s\S]*?)(<\/script>)/
+
+function getIntlModule () {
+  return path.resolve(__dirname, '../src/routes/_static/intl.js')
+}
+
+function replaceWithLookups (source) {
+  let found = false
+  const res = source.replace(INTL_REGEX, (match, p1) => {
+    if (!/^\w+$/.test(p1)) {
+      return warningOrError('Invalid intl string: ' + p1)
+    }
+    getIntl(p1) // warns, or throws in production, if it doesn't exist
+    found = true
+    return `__intl.${p1}`
+  })
+  return { res, found }
+}
+
+function getImport (resourcePath) {
+  let request = path.relative(path.dirname(resourcePath), getIntlModule()).split(path.sep).join('/')
+  if (!request.startsWith('.')) {
+    request = './' + request
+  }
+  return `import { intl as __intl } from ${JSON.stringify(request)}\n`
+}
+
+function applyRuntimeIntl (source, resourcePath) {
+  if (resourcePath === getIntlModule()) {
+    return source
+  }
+  if (!resourcePath.endsWith('.html')) {
+    const { res, found } = replaceWithLookups(source)
+    return found ? getImport(resourcePath) + res : source
+  }
+  // everything outside of the <script> is template
+  const match = source.match(SCRIPT_REGEX)
+  const before = replaceWithLookups(match ? source.substring(0, match.index) : source)
+  const after = replaceWithLookups(match ? source.substring(match.index + match[0].length) : '')
+  const script = replaceWithLookups(match ? match[2] : '')
+  if (!before.found && !after.found && !script.found) {
+    return source
+  }
+  if (!match) {
+    return `${before.res}\n<script>\n${getImport(resourcePath)}export default {}\n</script>\n`
+  }
+  return before.res + match[1] + '\n' + getImport(resourcePath) + script.res + match[3] + after.res
+}
+
+function applyToCompiledComponent (source) {
+  return source
+    .replace(/\bctx\.__intl\b/g, '__intl')
+    // Svelte's dev mode warns about missing data, and it thinks __intl is data
+    .replace(/^.*'__intl' in this\._state.*\n/mg, '')
+}
 
 export default function (source) {
+  const options = (this && this.getOptions && this.getOptions()) || {}
+  if (options.compiled) {
+    return applyToCompiledComponent(source)
+  }
+  if (options.runtime) {
+    return applyRuntimeIntl(source, this.resourcePath)
+  }
   const res = source
-    .replace(/['"]intl\.([^'"]+)['"]/g, (match, p1) => {
+    .replace(INTL_REGEX, (match, p1) => {
       return JSON.stringify(getIntl(p1))
     })
   return res